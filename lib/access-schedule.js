@@ -0,0 +1,167 @@
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_ALIASES = {
+  daily: 'mon-sun',
+  weekdays: 'mon-fri',
+  weekends: 'sat-sun'
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+class AccessSchedule {
+  constructor(config) {
+    this.config = config;
+    this.cache = new Map();
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.cache.clear();
+  }
+
+  static parseDays(value) {
+    const days = new Set();
+    const entries = Array.isArray(value) ? value : String(value ?? 'daily').split(',');
+
+    for (const raw of entries) {
+      const entry = DAY_ALIASES[String(raw).trim().toLowerCase()] || String(raw).trim().toLowerCase();
+      const [first, last = first] = entry.split('-').map(day => DAY_NAMES.indexOf(day.trim().slice(0, 3)));
+
+      if (first < 0 || last < 0) {
+        throw new Error(`Invalid day: ${raw}`);
+      }
+
+      // Ranges wrap around the week, so 'fri-mon' is Friday to Monday.
+      for (let day = first; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === last) break;
+      }
+    }
+
+    return days;
+  }
+
+  static parseTime(value) {
+    const match = /^(\d{1,2})(?::([0-5]\d))?$/.exec(String(value ?? '').trim());
+    const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2] || '0', 10) : NaN;
+
+    if (Number.isNaN(minutes) || minutes > MINUTES_PER_DAY) {
+      throw new Error(`Invalid time: ${value}`);
+    }
+
+    return minutes;
+  }
+
+  static parseSchedule(name, settings) {
+    if (!settings || typeof settings !== 'object') {
+      throw new Error(`Schedule '${name}' must be a section`);
+    }
+
+    const timezone = settings.timezone || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Schedule '${name}' has an invalid timezone: ${timezone}`);
+    }
+
+    try {
+      const schedule = {
+        name,
+        timezone,
+        days: AccessSchedule.parseDays(settings.days),
+        start: AccessSchedule.parseTime(settings.start ?? '00:00'),
+        end: AccessSchedule.parseTime(settings.end ?? '24:00')
+      };
+
+      if (schedule.start === schedule.end) {
+        throw new Error('start and end are equal');
+      }
+
+      return schedule;
+    } catch (error) {
+      throw new Error(`Schedule '${name}': ${error.message}`);
+    }
+  }
+
+  static validate(config) {
+    for (const [name, settings] of Object.entries(config.schedules || {})) {
+      AccessSchedule.parseSchedule(name, settings);
+    }
+  }
+
+  getSchedule(name) {
+    const settings = this.config.schedules?.[name];
+    if (!settings) return null;
+
+    if (!this.cache.has(name)) {
+      this.cache.set(name, AccessSchedule.parseSchedule(name, settings));
+    }
+    return this.cache.get(name);
+  }
+
+  static getLocalTime(timezone, now) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+
+    for (const part of formatter.formatToParts(new Date(now))) {
+      parts[part.type] = part.value;
+    }
+
+    return {
+      day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+      seconds: parseInt(parts.second, 10)
+    };
+  }
+
+  // Returns when the window open at `now` closes, or null when it is closed.
+  getWindowEnd(name, now = Date.now()) {
+    let end = this.getDayWindowEnd(name, now);
+
+    // Follow back-to-back windows, e.g. 00:00-24:00 on consecutive days.
+    for (let i = 0; end !== null && i < 7; i++) {
+      const next = this.getDayWindowEnd(name, end);
+      if (next === null) break;
+      end = next;
+    }
+
+    return end;
+  }
+
+  getDayWindowEnd(name, now) {
+    const schedule = this.getSchedule(name);
+    if (!schedule) return null;
+
+    const { day, minutes, seconds } = AccessSchedule.getLocalTime(schedule.timezone, now);
+    const elapsed = (seconds * 1000) + (now % 1000);
+    const previousDay = (day + 6) % 7;
+    let remaining = null;
+
+    if (schedule.start < schedule.end) {
+      if (schedule.days.has(day) && minutes >= schedule.start && minutes < schedule.end) {
+        remaining = schedule.end - minutes;
+      }
+    } else if (schedule.days.has(day) && minutes >= schedule.start) {
+      // Overnight window that began today.
+      remaining = MINUTES_PER_DAY - minutes + schedule.end;
+    } else if (schedule.days.has(previousDay) && minutes < schedule.end) {
+      // Overnight window that began yesterday.
+      remaining = schedule.end - minutes;
+    }
+
+    return remaining === null ? null : now + (remaining * 60000) - elapsed;
+  }
+
+  isOpen(name, now = Date.now()) {
+    return this.getWindowEnd(name, now) !== null;
+  }
+}
+
+module.exports = AccessSchedule;
@@ -0,0 +1,225 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+class AdminServer {
+  constructor(config, gateway, auditLog = null) {
+    this.config = config;
+    this.gateway = gateway;
+    this.auditLog = auditLog;
+    this.server = null;
+    this.routes = [];
+
+    this.registerDefaultRoutes();
+  }
+
+  isEnabled() {
+    return this.config.admin_enable === true;
+  }
+
+  registerDefaultRoutes() {
+    this.addRoute('GET', '/status', () => ({
+      body: this.gateway.getStatus()
+    }));
+
+    this.addRoute('GET', '/sessions', () => ({
+      body: { sessions: this.gateway.listSessions() }
+    }));
+
+    this.addRoute('GET', '/sessions/:id', (req, params) => {
+      const session = this.gateway.getSession(params.id);
+
+      if (!session) {
+        return { status: 404, body: { error: 'Session not found' } };
+      }
+
+      return { body: session };
+    });
+
+    this.addRoute('DELETE', '/sessions/:id', (req, params) => {
+      const session = this.gateway.terminateSession(params.id);
+
+      if (!session) {
+        return { status: 404, body: { error: 'Session not found' } };
+      }
+
+      return { status: 202, body: { terminated: true, session } };
+    });
+
+    this.addRoute('POST', '/config/reload', () => {
+      try {
+        return { body: this.gateway.reloadConfig() };
+      } catch (error) {
+        return { status: 400, body: { error: error.message } };
+      }
+    });
+  }
+
+  updateConfig(config) {
+    this.config = config;
+  }
+
+  addRoute(method, pattern, handler, options = {}) {
+    const keys = [];
+    const source = pattern.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+
+    this.routes.push({
+      method,
+      regex: new RegExp(`^${source}/?$`),
+      keys,
+      handler,
+      public: options.public === true
+    });
+  }
+
+  matchRoute(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(match[index + 1]);
+      });
+
+      return { route, params };
+    }
+
+    return { route: null, pathMatched };
+  }
+
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+
+    if (!match || !this.config.admin_token) {
+      return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(String(this.config.admin_token)).digest();
+    const provided = crypto.createHash('sha256').update(match[1].trim()).digest();
+
+    return crypto.timingSafeEqual(expected, provided);
+  }
+
+  async handleRequest(req, res) {
+    let pathname = req.url;
+
+    try {
+      let match;
+      try {
+        pathname = new URL(req.url, 'http://localhost').pathname;
+        match = this.matchRoute(req.method, pathname);
+      } catch (error) {
+        // A malformed percent-escape in the path; not worth logging.
+        return this.send(res, 400, { error: 'Malformed request path' });
+      }
+
+      const { route, params, pathMatched } = match;
+
+      if (!route) {
+        if (pathMatched) {
+          return this.send(res, 405, { error: 'Method not allowed' });
+        }
+        return this.send(res, 404, { error: 'Not found' });
+      }
+
+      if (!route.public && !this.isAuthorized(req)) {
+        this.recordAdminAction(req, pathname, 401);
+        return this.send(res, 401, { error: 'Unauthorized' }, {
+          'WWW-Authenticate': 'Bearer realm="guacamole-lite-server"'
+        });
+      }
+
+      const result = await route.handler(req, params);
+      const status = result.status || 200;
+
+      if (req.method !== 'GET') {
+        this.recordAdminAction(req, pathname, status);
+      }
+
+      this.send(res, status, result.body, result.headers);
+    } catch (error) {
+      logger.error('Admin API error', { method: req.method, path: pathname, error });
+      if (!res.headersSent) {
+        this.send(res, 500, { error: 'Internal server error' });
+      }
+    }
+  }
+
+  recordAdminAction(req, pathname, status) {
+    if (!this.auditLog) return;
+
+    this.auditLog.record(status === 401 ? 'admin_auth_failed' : 'admin_action', {
+      method: req.method,
+      path: pathname,
+      status,
+      clientIp: req.socket.remoteAddress || null
+    });
+  }
+
+  send(res, status, body, headers = {}) {
+    const isText = typeof body === 'string';
+    const payload = isText ? body : JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    });
+    res.end(payload);
+  }
+
+  async start() {
+    if (!this.config.admin_token) {
+      throw new Error('ADMIN_TOKEN is required when the admin API is enabled');
+    }
+
+    const host = this.config.admin_host || '127.0.0.1';
+    const port = this.config.admin_port ?? 8081;
+
+    // A request must never be able to take down the gateway.
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error('Admin API error', { method: req.method, path: req.url, error });
+        res.destroy();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    const address = this.server.address();
+    logger.info('Admin API listening', { address: `${address.address}:${address.port}` });
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+    if (this.server.closeAllConnections) {
+      this.server.closeAllConnections();
+    }
+    await closed;
+    this.server = null;
+  }
+
+  getAddress() {
+    return this.server ? this.server.address() : null;
+  }
+}
+
+module.exports = AdminServer;
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class AuditLog {
+  constructor(config) {
+    this.config = config;
+    this.filePath = config.audit_log_path || null;
+    this.fd = null;
+    this.lastHash = GENESIS_HASH;
+    this.sequence = 0;
+  }
+
+  isEnabled() {
+    return this.config.audit_log_enable === true && !!this.filePath;
+  }
+
+  open() {
+    if (!this.isEnabled() || this.fd !== null) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fd = fs.openSync(this.filePath, 'a+');
+
+    const lastLine = AuditLog.readLastLine(this.fd);
+    if (lastLine) {
+      let entry;
+      try {
+        entry = JSON.parse(lastLine);
+      } catch (error) {
+        this.close();
+        throw new Error(`Audit log ${this.filePath} ends with a corrupt entry, run verify-audit`);
+      }
+      this.lastHash = entry.hash;
+      this.sequence = entry.seq;
+    }
+  }
+
+  record(event, fields = {}) {
+    if (!this.isEnabled()) return null;
+
+    this.open();
+
+    const entry = {
+      seq: this.sequence + 1,
+      timestamp: new Date().toISOString(),
+      event,
+      ...fields,
+      prev_hash: this.lastHash
+    };
+    entry.hash = AuditLog.computeHash(entry);
+
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    fs.fsyncSync(this.fd);
+
+    this.sequence = entry.seq;
+    this.lastHash = entry.hash;
+
+    return entry;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => AuditLog.canonicalize(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const pairs = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${AuditLog.canonicalize(value[key])}`);
+      return `{${pairs.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  static computeHash(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(AuditLog.canonicalize(content)).digest('hex');
+  }
+
+  static readLastLine(fd) {
+    const { size } = fs.fstatSync(fd);
+    let chunkSize = 64 * 1024;
+
+    while (size > 0) {
+      const length = Math.min(size, chunkSize);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, size - length);
+
+      const lines = buffer.toString('utf8').split('\n').filter(line => line.trim().length > 0);
+      if (lines.length > 1 || length === size) {
+        return lines.length > 0 ? lines[lines.length - 1] : null;
+      }
+
+      chunkSize *= 2;
+    }
+
+    return null;
+  }
+
+  static verify(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return { valid: false, entries: 0, error: `Audit log not found: ${filePath}` };
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    let previousHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let entries = 0;
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index];
+      if (line.trim().length === 0) continue;
+
+      const fail = error => ({ valid: false, entries, line: index + 1, error });
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        return fail('Entry is not valid JSON');
+      }
+
+      if (entry.seq !== expectedSeq) {
+        return fail(`Expected sequence ${expectedSeq}, found ${entry.seq}`);
+      }
+
+      if (entry.prev_hash !== previousHash) {
+        return fail('prev_hash does not match the previous entry');
+      }
+
+      if (entry.hash !== AuditLog.computeHash(entry)) {
+        return fail('Entry hash does not match its content');
+      }
+
+      previousHash = entry.hash;
+      expectedSeq++;
+      entries++;
+    }
+
+    return { valid: true, entries, lastHash: previousHash };
+  }
+}
+
+module.exports = AuditLog;
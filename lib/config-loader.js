@@ -1,6 +1,14 @@
 const ini = require('ini');
 const fs = require('fs');
 const path = require('path');
+const Utils = require('./utils');
+const DestinationPolicy = require('./destination-policy');
+const AccessSchedule = require('./access-schedule');
+const RolePolicy = require('./role-policy');
+const ConnectionProfiles = require('./connection-profiles');
+const SecretsManager = require('./secrets-manager');
+const TenantManager = require('./tenant-manager');
+const WebhookManager = require('./webhook-manager');
 
 class ConfigLoader {
   constructor(configPath) {
@@ -26,19 +34,10 @@ class ConfigLoader {
   processConfig(config) {
     const processed = {};
     
+    // Sections nest to any depth, e.g. [tenants.acme.defaults.rdp].
     for (const [key, value] of Object.entries(config)) {
-      if (typeof value === 'object' && value !== null) {
-        processed[key] = {};
-        for (const [subKey, subValue] of Object.entries(value)) {
-          if (typeof subValue === 'object' && subValue !== null) {
-            processed[key][subKey] = {};
-            for (const [nestedKey, nestedValue] of Object.entries(subValue)) {
-              processed[key][subKey][nestedKey] = this.convertType(nestedValue);
-            }
-          } else {
-            processed[key][subKey] = this.convertType(subValue);
-          }
-        }
+      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        processed[key] = this.processConfig(value);
       } else {
         processed[key] = this.convertType(value);
       }
@@ -73,26 +72,80 @@ class ConfigLoader {
   mergeEnvironmentVariables() {
     this.mergeEnvVarsForSection('', this.config);
     
-    if (this.config.defaults && typeof this.config.defaults === 'object') {
-      for (const [protocol, settings] of Object.entries(this.config.defaults)) {
+    for (const layer of ['defaults', 'overrides', 'locked']) {
+      if (this.config[layer] && typeof this.config[layer] === 'object') {
+        for (const [protocol, settings] of Object.entries(this.config[layer])) {
+          if (typeof settings === 'object' && settings !== null) {
+            this.mergeEnvVarsForSection(`${layer.toUpperCase()}_${protocol.toUpperCase()}_`, settings);
+          }
+        }
+      }
+    }
+    
+    if (this.config.keys && typeof this.config.keys === 'object') {
+      for (const [id, settings] of Object.entries(this.config.keys)) {
         if (typeof settings === 'object' && settings !== null) {
-          this.mergeEnvVarsForSection(`DEFAULTS_${protocol.toUpperCase()}_`, settings);
+          this.mergeEnvVarsForSection(`KEYS_${id.toUpperCase()}_`, settings);
+        }
+      }
+    }
+    
+    if (this.config.webhooks && typeof this.config.webhooks === 'object') {
+      for (const [name, settings] of Object.entries(this.config.webhooks)) {
+        if (typeof settings === 'object' && settings !== null) {
+          this.mergeEnvVarsForSection(`WEBHOOKS_${name.toUpperCase().replace(/-/g, '_')}_`, settings, WebhookManager.ENDPOINT_KEYS);
+        }
+      }
+    }
+    
+    if (this.config.tenants && typeof this.config.tenants === 'object') {
+      for (const [id, settings] of Object.entries(this.config.tenants)) {
+        if (typeof settings === 'object' && settings !== null) {
+          this.mergeEnvVarsForSection(`TENANTS_${id.toUpperCase().replace(/-/g, '_')}_`, settings, ['token_prefix', 'path_prefix', 'hosts']);
         }
       }
     }
   }
 
-  mergeEnvVarsForSection(prefix, section) {
+  // extraKeys marks a section of top-level style keys (a tenant or webhook
+  // endpoint), which may also use the given section-specific keys.
+  mergeEnvVarsForSection(prefix, section, extraKeys = null) {
+    const topLevel = prefix === '' || extraKeys !== null;
     const envVars = Object.keys(process.env);
     
     const validConfigKeys = [
       'websocket_port', 'websocket_host', 'guacd_host', 'guacd_port',
-      'log_level', 'max_inactivity_time', 'cypher', 'secret_key',
-      'unencrypted_params', 'token_expiration_check', 'drive_path_template',
+      'log_level', 'log_format', 'log_file', 'log_file_max_size', 'log_file_max_files',
+      'max_inactivity_time', 'shutdown_grace_period', 'cypher', 'secret_key',
+      'unencrypted_params', 'token_expiration_check', 'token_expiration_required',
+      'token_max_lifetime', 'token_replay_protection', 'token_replay_require_nonce',
+      'token_replay_ttl', 'token_replay_max_entries', 'token_replay_store',
+      'token_replay_store_path', 'token_format', 'jwt_algorithms', 'jwt_secret',
+      'jwt_public_key_path', 'jwt_jwks_path', 'jwt_audience', 'jwt_issuer',
+      'jwt_clock_tolerance', 'jwt_settings_claim', 'jwt_encrypted_password_claim',
+      'client_ip_allow', 'client_ip_deny', 'trusted_proxies',
+      'destination_policy_enable', 'destination_resolve_dns', 'destination_dns_timeout',
+      'destination_pin_address', 'rate_limit_enable', 'rate_limit_ip_burst',
+      'rate_limit_ip_per_minute', 'rate_limit_user_burst', 'rate_limit_user_per_minute',
+      'rate_limit_max_entries', 'lockout_threshold', 'lockout_window', 'lockout_duration',
+      'max_sessions_total', 'max_sessions_per_user', 'max_sessions_per_target',
+      'session_limit_policy', 'max_session_duration', 'session_expiry_warning',
+      'schedule_grace_period',
+      'secrets_provider', 'secrets_cache_ttl', 'secrets_default_field', 'secrets_timeout',
+      'secrets_file_path', 'secrets_file_key', 'secrets_dir', 'secrets_vault_url',
+      'secrets_vault_token', 'secrets_vault_namespace', 'secrets_vault_mount',
+      'secrets_vault_kv_version', 'secrets_path_prefix', 'tenant_required',
+      'authorize_url', 'authorize_timeout', 'authorize_failure_policy', 'authorize_auth_token',
+      'drive_path_template',
       'recordings_path', 'recordings_filename', 'recordings_compression_format',
       'recordings_storage', 'recordings_delete_local_after_upload',
       's3_region', 's3_access_key_id', 's3_secret_access_key', 's3_default_bucket',
-      'webhook_enable', 'webhook_url'
+      'webhook_enable', 'webhook_url', 'webhook_signing_secrets', 'webhook_events',
+      'webhook_timeout', 'webhook_max_attempts', 'webhook_retry_delay', 'webhook_retry_max_delay',
+      'webhook_journal_dir',
+      'admin_enable', 'admin_host', 'admin_port', 'admin_token',
+      'metrics_public', 'health_cache_ttl', 'health_check_timeout',
+      'audit_log_enable', 'audit_log_path'
     ];
     
     for (const envVar of envVars) {
@@ -101,14 +154,14 @@ class ConfigLoader {
       const fullKey = envVar.substring(prefix.length);
       const configKey = fullKey.toLowerCase();
       
-      if (prefix === '' && !validConfigKeys.includes(configKey)) {
+      if (topLevel && !validConfigKeys.includes(configKey) && !(extraKeys || []).includes(configKey)) {
         continue;
       }
       
       const envValue = process.env[envVar];
       
       // For top-level configs, don't create nested objects from underscores
-      if (prefix === '') {
+      if (topLevel) {
         section[configKey] = this.convertType(envValue);
       } else {
         // For protocol-specific defaults, don't create nested objects from underscores
@@ -125,6 +178,80 @@ class ConfigLoader {
     if (missing.length > 0) {
       throw new Error(`Missing required configuration: ${missing.join(', ')}`);
     }
+    
+    for (const key of ['client_ip_allow', 'client_ip_deny', 'trusted_proxies']) {
+      try {
+        Utils.createBlockList(this.config[key]);
+      } catch (error) {
+        throw new Error(`Invalid ${key}: ${error.message}`);
+      }
+    }
+    
+    try {
+      TenantManager.validate(this.config);
+    } catch (error) {
+      throw new Error(`Invalid tenant: ${error.message}`);
+    }
+    
+    const tenants = new TenantManager(this.config);
+    const configs = [this.config, ...tenants.getTenantIds().map(id => tenants.getConfig(id))];
+    for (const settings of configs) {
+      const secretsProvider = settings.secrets_provider;
+      if (secretsProvider && secretsProvider !== 'none' && !SecretsManager.providers[secretsProvider]) {
+        throw new Error(`Unknown secrets_provider: ${secretsProvider}`);
+      }
+    }
+    
+    try {
+      // Tenant sections may only override parts of an inherited endpoint.
+      for (const settings of configs) {
+        WebhookManager.validate(settings);
+      }
+    } catch (error) {
+      throw new Error(`Invalid webhook endpoint: ${error.message}`);
+    }
+    
+    const failurePolicy = this.config.authorize_failure_policy;
+    if (failurePolicy && !['allow', 'deny'].includes(failurePolicy)) {
+      throw new Error(`Unknown authorize_failure_policy: ${failurePolicy}`);
+    }
+    
+    // Tenants get their own profiles, destinations, roles and schedules.
+    for (const settings of configs) {
+      try {
+        DestinationPolicy.validate(settings);
+      } catch (error) {
+        throw new Error(`Invalid destination policy: ${error.message}`);
+      }
+      
+      try {
+        ConnectionProfiles.validate(settings);
+      } catch (error) {
+        throw new Error(`Invalid profile: ${error.message}`);
+      }
+      
+      try {
+        RolePolicy.validate(settings);
+      } catch (error) {
+        throw new Error(`Invalid role policy: ${error.message}`);
+      }
+      
+      try {
+        AccessSchedule.validate(settings);
+      } catch (error) {
+        throw new Error(`Invalid schedule: ${error.message}`);
+      }
+    }
+    
+    for (const [id, settings] of Object.entries(this.config.keys || {})) {
+      if (!settings || typeof settings !== 'object' || settings.secret === undefined || settings.secret === '') {
+        throw new Error(`Key '${id}' has no secret`);
+      }
+      
+      if (settings.expires && typeof settings.expires !== 'number' && Number.isNaN(Date.parse(settings.expires))) {
+        throw new Error(`Key '${id}' has an invalid expires date: ${settings.expires}`);
+      }
+    }
   }
 
   interpolateTemplate(template, data) {
@@ -142,6 +269,28 @@ class ConfigLoader {
     });
   }
 
+  diffConfig(previous, next) {
+    const flatten = (obj, prefix, out) => {
+      for (const [key, value] of Object.entries(obj || {})) {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          flatten(value, fullKey, out);
+        } else {
+          out[fullKey] = value;
+        }
+      }
+      return out;
+    };
+    
+    const before = flatten(previous, '', {});
+    const after = flatten(next, '', {});
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    
+    return Array.from(keys)
+      .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+      .sort();
+  }
+
   getConfig() {
     return this.config;
   }
@@ -0,0 +1,146 @@
+const axios = require('axios');
+const Utils = require('./utils');
+const logger = require('./logger');
+
+// Parameters that choose the target. They have already passed the destination
+// policy, so the authorization service cannot change them.
+const TARGET_PARAMS = [
+  'protocol', 'hostname', 'port',
+  'sftp-hostname', 'sftp-port',
+  'gateway-hostname', 'gateway-port',
+  'dest-host', 'dest-port'
+];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'];
+
+class ConnectionAuthorizer {
+  constructor(config) {
+    this.config = config;
+  }
+
+  updateConfig(config) {
+    this.config = config;
+  }
+
+  isEnabled() {
+    return !!this.config.authorize_url;
+  }
+
+  getFailurePolicy() {
+    return this.config.authorize_failure_policy === 'allow' ? 'allow' : 'deny';
+  }
+
+  getTimeout() {
+    return this.config.authorize_timeout || 2000;
+  }
+
+  buildRequest(token, settings, context = {}) {
+    const payload = {
+      event: 'authorize',
+      timestamp: new Date().toISOString(),
+      client_ip: context.clientIp || null,
+      protocol: settings.protocol || null,
+      hostname: settings.hostname || null,
+      port: settings.port || null,
+      token: Utils.sanitizeWebhookPayload(token)
+    };
+
+    if (token.tenant) {
+      payload.tenant = token.tenant;
+    }
+
+    return payload;
+  }
+
+  async request(payload) {
+    const timeout = this.getTimeout();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'guacamole-lite-server/1.0.0'
+    };
+
+    if (this.config.authorize_auth_token) {
+      headers.Authorization = `Bearer ${this.config.authorize_auth_token}`;
+    }
+
+    let response;
+    try {
+      response = await axios({
+        method: 'POST',
+        url: this.config.authorize_url,
+        headers,
+        data: payload,
+        timeout,
+        // The socket timeout alone doesn't bound a response that trickles in.
+        signal: AbortSignal.timeout(timeout),
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw new Error(TIMEOUT_CODES.includes(error.code)
+        ? `timed out after ${timeout}ms`
+        : error.code || error.message);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    return response.data;
+  }
+
+  static parseDecision(data) {
+    if (!data || typeof data !== 'object' || typeof data.allow !== 'boolean') {
+      throw new Error('response has no boolean allow field');
+    }
+
+    const params = data.params ?? {};
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('params must be an object');
+    }
+
+    const target = Object.keys(params).filter(key => TARGET_PARAMS.includes(key));
+    if (target.length > 0) {
+      throw new Error(`response cannot change ${target.join(', ')}`);
+    }
+
+    if (data.recording !== undefined && data.recording !== null && typeof data.recording !== 'boolean') {
+      throw new Error('recording must be a boolean');
+    }
+
+    return {
+      allow: data.allow,
+      reason: data.reason ? String(data.reason) : null,
+      params,
+      recording: data.recording ?? null
+    };
+  }
+
+  // Returns the service's decision, or null when the service failed and the
+  // failure policy lets the connection through unchanged.
+  async authorize(token, settings, context = {}) {
+    let decision;
+    try {
+      decision = ConnectionAuthorizer.parseDecision(await this.request(this.buildRequest(token, settings, context)));
+    } catch (error) {
+      if (this.getFailurePolicy() === 'allow') {
+        logger.warn('Authorization service failed, allowing connection', {
+          error: error.message,
+          userId: token.meta?.userId
+        });
+        return null;
+      }
+      throw Utils.createError('authorization_unavailable', `Authorization service failed: ${error.message}`);
+    }
+
+    if (!decision.allow) {
+      throw Utils.createError('authorization_denied', decision.reason
+        ? `Connection denied by authorization service: ${decision.reason}`
+        : 'Connection denied by authorization service');
+    }
+
+    return decision;
+  }
+}
+
+module.exports = ConnectionAuthorizer;
@@ -0,0 +1,85 @@
+const Utils = require('./utils');
+
+// Section keys that configure the profile itself rather than the connection.
+const PROFILE_KEYS = ['extends', 'token_params'];
+
+// Fields that describe the token rather than the connection. A token may
+// always carry these.
+const TOKEN_FIELDS = ['profile', 'meta', 'expiration', 'notBefore', 'nonce', 'jti'];
+
+class ConnectionProfiles {
+  constructor(config) {
+    this.config = config;
+    this.cache = new Map();
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.cache.clear();
+  }
+
+  static resolve(profiles, name, chain = []) {
+    const profile = profiles[name];
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(chain.length > 0
+        ? `Profile '${chain[chain.length - 1]}' extends unknown profile '${name}'`
+        : `Unknown profile '${name}'`);
+    }
+
+    if (chain.includes(name)) {
+      throw new Error(`Profile inheritance cycle: ${[...chain, name].join(' -> ')}`);
+    }
+
+    const parent = profile.extends
+      ? ConnectionProfiles.resolve(profiles, profile.extends, [...chain, name])
+      : {};
+
+    return { ...parent, ...profile };
+  }
+
+  static validate(config) {
+    for (const name of Object.keys(config.profiles || {})) {
+      ConnectionProfiles.resolve(config.profiles, name);
+    }
+  }
+
+  getProfile(name) {
+    if (!this.config.profiles?.[name]) return null;
+
+    if (!this.cache.has(name)) {
+      this.cache.set(name, ConnectionProfiles.resolve(this.config.profiles, name));
+    }
+    return this.cache.get(name);
+  }
+
+  expand(token) {
+    const profile = this.getProfile(token.profile);
+    if (!profile) {
+      throw Utils.createError('profile_unknown', `Token references unknown profile '${token.profile}'`);
+    }
+
+    const editable = new Set([
+      ...Utils.parseList(profile.token_params),
+      ...Utils.parseList(this.config.unencrypted_params),
+      ...TOKEN_FIELDS
+    ]);
+
+    const forbidden = Object.keys(token).filter(key => !editable.has(key));
+    if (forbidden.length > 0) {
+      throw Utils.createError('profile_param_not_allowed',
+        `Profile '${token.profile}' does not allow the token to set: ${forbidden.join(', ')}`);
+    }
+
+    const params = {};
+    for (const [key, value] of Object.entries(profile)) {
+      if (!PROFILE_KEYS.includes(key)) {
+        params[key] = value;
+      }
+    }
+
+    return { ...params, ...token };
+  }
+}
+
+module.exports = ConnectionProfiles;
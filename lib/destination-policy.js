@@ -0,0 +1,244 @@
+const net = require('net');
+const dns = require('dns');
+const Utils = require('./utils');
+
+const DEFAULT_PORTS = {
+  rdp: 3389,
+  vnc: 5900,
+  ssh: 22,
+  telnet: 23,
+  kubernetes: 8080
+};
+
+// Other parameters that make guacd connect somewhere. Each is checked with the
+// rules of the protocol spoken there: SFTP runs over SSH, and a VNC repeater
+// forwards to a VNC server.
+const SECONDARY_TARGETS = [
+  { hostname: 'sftp-hostname', port: 'sftp-port', enable: 'enable-sftp', protocol: 'ssh' },
+  { hostname: 'gateway-hostname', port: 'gateway-port', protocol: 'rdp', defaultPort: 443 },
+  { hostname: 'dest-host', port: 'dest-port', protocol: 'vnc' }
+];
+
+const RULE_KEYS = ['allow_cidrs', 'deny_cidrs', 'allow_hosts', 'deny_hosts', 'allow_ports', 'deny_ports'];
+
+class DestinationPolicy {
+  constructor(config) {
+    this.updateConfig(config);
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.rules = {};
+  }
+
+  isEnabled() {
+    return this.config.destination_policy_enable === true;
+  }
+
+  getRules(protocol) {
+    if (!this.rules[protocol]) {
+      const sections = this.config.destinations || {};
+      const merged = { ...(sections.all || {}), ...(sections[protocol] || {}) };
+
+      this.rules[protocol] = {
+        allowCidrs: Utils.createBlockList(merged.allow_cidrs),
+        denyCidrs: Utils.createBlockList(merged.deny_cidrs),
+        allowHosts: DestinationPolicy.compileGlobs(merged.allow_hosts),
+        denyHosts: DestinationPolicy.compileGlobs(merged.deny_hosts),
+        allowPorts: DestinationPolicy.parsePortRanges(merged.allow_ports),
+        denyPorts: DestinationPolicy.parsePortRanges(merged.deny_ports)
+      };
+    }
+
+    return this.rules[protocol];
+  }
+
+  static validate(config) {
+    for (const [protocol, section] of Object.entries(config.destinations || {})) {
+      if (!section || typeof section !== 'object') continue;
+
+      for (const key of Object.keys(section)) {
+        if (!RULE_KEYS.includes(key)) {
+          throw new Error(`Unknown key '${key}' in [destinations.${protocol}]`);
+        }
+      }
+
+      Utils.createBlockList(section.allow_cidrs);
+      Utils.createBlockList(section.deny_cidrs);
+      DestinationPolicy.parsePortRanges(section.allow_ports);
+      DestinationPolicy.parsePortRanges(section.deny_ports);
+    }
+  }
+
+  static compileGlobs(value) {
+    const globs = Utils.parseList(value);
+    if (globs.length === 0) return null;
+
+    return globs.map((glob) => {
+      const source = glob.toLowerCase()
+        .split('**')
+        .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*'))
+        .join('.*');
+      return new RegExp(`^${source}$`);
+    });
+  }
+
+  static parsePortRanges(value) {
+    const entries = Utils.parseList(value);
+    if (entries.length === 0) return null;
+
+    return entries.map((entry) => {
+      const match = /^(\d+)(?:-(\d+))?$/.exec(entry);
+      const from = match ? Number(match[1]) : NaN;
+      const to = match && match[2] ? Number(match[2]) : from;
+
+      if (!match || from < 1 || to > 65535 || from > to) {
+        throw new Error(`Invalid port or port range: ${entry}`);
+      }
+
+      return [from, to];
+    });
+  }
+
+  // guacd's resolver accepts inet_aton() forms such as '127.1', '2130706433',
+  // '0x7f000001' and octal parts. Returns the dotted address they stand for,
+  // or null when the host is not such a number.
+  static parseIPv4(host) {
+    const parts = host.split('.');
+    if (parts.length > 4) return null;
+
+    const values = [];
+    for (const part of parts) {
+      if (/^0x[0-9a-f]*$/i.test(part)) {
+        values.push(part.length > 2 ? parseInt(part.slice(2), 16) : 0);
+      } else if (/^0[0-7]*$/.test(part)) {
+        values.push(parseInt(part, 8));
+      } else if (/^[1-9][0-9]*$/.test(part)) {
+        values.push(parseInt(part, 10));
+      } else {
+        return null;
+      }
+    }
+
+    // Leading parts are single bytes; the last one fills the remaining bytes.
+    const last = values.pop();
+    if (values.some(value => value > 255) || last >= Math.pow(256, 4 - values.length)) {
+      return null;
+    }
+
+    const number = values.reduce((total, value, index) => total + value * Math.pow(256, 3 - index), 0) + last;
+    return [24, 16, 8, 0].map(shift => Math.floor(number / Math.pow(2, shift)) % 256).join('.');
+  }
+
+  static matchesHost(globs, hostname) {
+    return !!globs && globs.some(regex => regex.test(hostname.toLowerCase()));
+  }
+
+  static matchesPort(ranges, port) {
+    return !!ranges && ranges.some(([from, to]) => port >= from && port <= to);
+  }
+
+  getPort(protocol, port) {
+    const defaults = this.config.defaults || {};
+    const value = port ?? defaults[protocol]?.port ?? defaults.all?.port ?? DEFAULT_PORTS[protocol];
+    return parseInt(value, 10);
+  }
+
+  async resolve(hostname) {
+    const timeout = this.config.destination_dns_timeout || 2000;
+    let timer;
+
+    try {
+      const lookup = dns.promises.lookup(hostname, { all: true, verbatim: true });
+      const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`DNS lookup timed out after ${timeout}ms`)), timeout);
+      });
+
+      const results = await Promise.race([lookup, expired]);
+      return results.map(result => result.address);
+    } catch (error) {
+      throw Utils.createError('destination_unresolved', `Cannot resolve destination ${hostname}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // SFTP without its own hostname connects to the main host.
+  static getSecondaryTargets(token) {
+    return SECONDARY_TARGETS
+      .filter(target => token[target.hostname] !== undefined || token[target.port] !== undefined
+        || (target.enable && String(token[target.enable]) === 'true'))
+      .map(target => ({
+        param: target.hostname,
+        protocol: target.protocol,
+        hostname: token[target.hostname] ?? token.hostname,
+        port: token[target.port] ?? target.defaultPort
+      }));
+  }
+
+  // Checks the main target and every secondary one the token names, and
+  // returns the result for the main target.
+  async checkToken(token) {
+    const destination = await this.check(token.protocol, token.hostname, token.port);
+
+    for (const target of DestinationPolicy.getSecondaryTargets(token)) {
+      try {
+        await this.check(target.protocol, target.hostname, target.port);
+      } catch (error) {
+        error.message = `${target.param}: ${error.message}`;
+        throw error;
+      }
+    }
+
+    return destination;
+  }
+
+  async check(protocol, hostname, port) {
+    if (!hostname) {
+      throw Utils.createError('destination_missing', 'Token has no hostname');
+    }
+
+    const rules = this.getRules(protocol || 'all');
+    const targetPort = this.getPort(protocol, port);
+    // 'host.example.com.' is the same name as 'host.example.com'.
+    const host = String(hostname).replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+
+    if (DestinationPolicy.matchesPort(rules.denyPorts, targetPort)
+      || (rules.allowPorts && !DestinationPolicy.matchesPort(rules.allowPorts, targetPort))) {
+      throw Utils.createError('destination_port_not_allowed', `Port ${targetPort} is not allowed for ${protocol}`);
+    }
+
+    if (DestinationPolicy.matchesHost(rules.denyHosts, host)) {
+      throw Utils.createError('destination_denied', `Destination ${host} is denied`);
+    }
+
+    // Names, 'localhost' included, are resolved whenever CIDR rules apply;
+    // otherwise a name would slip past them.
+    let addresses = [];
+    const address = net.isIP(host) ? host : DestinationPolicy.parseIPv4(host);
+    if (address) {
+      addresses = [address];
+    } else if (this.config.destination_resolve_dns || rules.allowCidrs || rules.denyCidrs) {
+      addresses = await this.resolve(host);
+    }
+
+    const denied = addresses.find(address => Utils.ipInList(rules.denyCidrs, address));
+    if (denied) {
+      throw Utils.createError('destination_denied', `Destination ${host} (${denied}) is denied`);
+    }
+
+    if (rules.allowHosts || rules.allowCidrs) {
+      const hostAllowed = DestinationPolicy.matchesHost(rules.allowHosts, host);
+      const addressesAllowed = addresses.length > 0
+        && addresses.every(address => Utils.ipInList(rules.allowCidrs, address));
+
+      if (!hostAllowed && !addressesAllowed) {
+        throw Utils.createError('destination_not_allowed', `Destination ${host} is not allowed for ${protocol}`);
+      }
+    }
+
+    return { hostname: host, port: targetPort, addresses };
+  }
+}
+
+module.exports = DestinationPolicy;
@@ -0,0 +1,170 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+class HealthChecker {
+  constructor(config, s3Uploader) {
+    this.config = config;
+    this.s3Uploader = s3Uploader;
+    this.checks = new Map();
+    this.cache = new Map();
+    this.startedAt = Date.now();
+
+    this.registerDefaultChecks();
+  }
+
+  registerDefaultChecks() {
+    this.addCheck('guacd', () => this.checkGuacd());
+    this.addCheck('recordings_path', () => this.checkRecordingsPath());
+    this.addCheck('s3', () => this.checkS3());
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.cache.clear();
+  }
+
+  addCheck(name, fn) {
+    this.checks.set(name, fn);
+  }
+
+  getCacheTtl() {
+    return this.config.health_cache_ttl ?? 10000;
+  }
+
+  getTimeout() {
+    return this.config.health_check_timeout || 3000;
+  }
+
+  checkGuacd() {
+    const host = this.config.guacd_host || '127.0.0.1';
+    const port = this.config.guacd_port || 4822;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port });
+      let response = '';
+
+      const finish = (error) => {
+        socket.destroy();
+        if (error) reject(error);
+        else resolve({ message: `guacd at ${host}:${port} completed handshake` });
+      };
+
+      socket.setTimeout(this.getTimeout(), () => {
+        finish(new Error(`guacd at ${host}:${port} timed out`));
+      });
+
+      socket.on('connect', () => {
+        socket.write('6.select,3.rdp;');
+      });
+
+      socket.on('data', (data) => {
+        response += data.toString();
+
+        if (response.startsWith('4.args,')) {
+          finish();
+        } else if (response.includes(';')) {
+          finish(new Error(`Unexpected guacd handshake response: ${response.slice(0, 64)}`));
+        }
+      });
+
+      socket.on('error', finish);
+
+      socket.on('close', () => {
+        finish(new Error(`guacd at ${host}:${port} closed the connection during handshake`));
+      });
+    });
+  }
+
+  async checkRecordingsPath() {
+    const recordingsPath = this.config.recordings_path;
+
+    if (!recordingsPath) {
+      return { skipped: true, message: 'recordings_path not configured' };
+    }
+
+    const probe = path.join(recordingsPath, `.healthcheck-${process.pid}`);
+    await fs.promises.writeFile(probe, '');
+    await fs.promises.unlink(probe);
+
+    return { message: `${recordingsPath} is writable` };
+  }
+
+  async checkS3() {
+    if (this.config.recordings_storage !== 's3') {
+      return { skipped: true, message: 'recordings_storage is not s3' };
+    }
+
+    if (!this.s3Uploader || !(await this.s3Uploader.testConnection())) {
+      throw new Error('S3 connection test failed');
+    }
+
+    return { message: 'S3 connection test passed' };
+  }
+
+  async runCheck(name) {
+    const cached = this.cache.get(name);
+
+    if (cached && Date.now() - cached.time < this.getCacheTtl()) {
+      return cached.result;
+    }
+
+    const started = Date.now();
+    const promise = Promise.resolve()
+      .then(() => this.withTimeout(this.checks.get(name)()))
+      .then(
+        (details = {}) => ({
+          status: details.skipped ? 'skipped' : 'ok',
+          message: details.message || null
+        }),
+        (error) => ({
+          status: 'fail',
+          message: error.message
+        })
+      )
+      .then(result => ({
+        ...result,
+        checkedAt: new Date(started).toISOString(),
+        durationMs: Date.now() - started
+      }));
+
+    this.cache.set(name, { time: started, result: promise });
+
+    return promise;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Health check timed out')), this.getTimeout());
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  getLiveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
+  async getReadiness() {
+    const names = Array.from(this.checks.keys());
+    const results = await Promise.all(names.map(name => this.runCheck(name)));
+
+    const checks = {};
+    names.forEach((name, index) => {
+      checks[name] = results[index];
+    });
+
+    const ready = results.every(result => result.status !== 'fail');
+
+    return {
+      status: ready ? 'ok' : 'fail',
+      checks
+    };
+  }
+}
+
+module.exports = HealthChecker;
@@ -1,26 +1,304 @@
+const fs = require('fs');
+const path = require('path');
 const GuacamoleLite = require('guacamole-lite');
 const ConfigLoader = require('./config-loader');
 const RecordingManager = require('./recording-manager');
 const S3Uploader = require('./s3-uploader');
 const WebhookManager = require('./webhook-manager');
+const AdminServer = require('./admin-server');
+const Metrics = require('./metrics');
+const HealthChecker = require('./health-checker');
+const AuditLog = require('./audit-log');
+const ReplayCache = require('./replay-cache');
+const Keyring = require('./keyring');
+const JwtVerifier = require('./jwt-verifier');
+const DestinationPolicy = require('./destination-policy');
+const RateLimiter = require('./rate-limiter');
+const SessionLimiter = require('./session-limiter');
+const SessionTimer = require('./session-timer');
+const AccessSchedule = require('./access-schedule');
+const RolePolicy = require('./role-policy');
+const ConnectionProfiles = require('./connection-profiles');
+const SecretsManager = require('./secrets-manager');
+const TenantManager = require('./tenant-manager');
+const WebhookSignature = require('./webhook-signature');
+const ConnectionAuthorizer = require('./connection-authorizer');
 const Utils = require('./utils');
+const logger = require('./logger');
+
+// Settings that can change on a live process. Everything else (listeners,
+// guacd address, inactivity timeout, admin API) only takes effect on restart.
+const RELOADABLE_KEYS = [
+  'defaults',
+  'overrides',
+  'locked',
+  'cypher',
+  'secret_key',
+  'keys',
+  'jwt_',
+  'unencrypted_params',
+  'token_expiration_check',
+  'token_expiration_required',
+  'token_max_lifetime',
+  'token_replay_protection',
+  'token_replay_require_nonce',
+  'token_replay_ttl',
+  'drive_path_template',
+  'client_ip_allow',
+  'client_ip_deny',
+  'trusted_proxies',
+  'destination_',
+  'destinations',
+  'rate_limit_enable',
+  'rate_limit_ip_',
+  'rate_limit_user_',
+  'lockout_',
+  'max_sessions_',
+  'session_limit_policy',
+  'target_session_limits',
+  'max_session_duration',
+  'session_expiry_warning',
+  'schedules',
+  'schedule_grace_period',
+  'roles',
+  'restricted_params',
+  'profiles',
+  'secrets_',
+  'tenants',
+  'tenant_required',
+  'authorize_',
+  'recordings_',
+  's3_',
+  'webhook_',
+  'webhooks',
+  'health_',
+  'shutdown_grace_period',
+  'admin_token',
+  'log_format',
+  'log_file',
+  'log_file_'
+];
+
+const REPLAY_MESSAGES = {
+  replayed: 'Token has already been used',
+  nonce_missing: 'Token has no nonce or jti',
+  replay_cache_full: 'Replay cache is full of unexpired nonces; raise token_replay_max_entries'
+};
 
 class GuacamoleLiteServer {
   constructor(configPath) {
     this.configLoader = new ConfigLoader(configPath);
     this.config = this.configLoader.load();
+    logger.configure(this.config);
     this.server = null;
     this.connections = new Map();
+    // Session slots of handshakes that passed the session limits but have
+    // not opened yet, by connection id.
+    this.reservations = new Map();
+    // Tenants removed by a reload that still have sessions, by id.
+    this.retiredTenants = new Map();
+    this.pendingCloses = new Set();
+    this.draining = false;
+    this.stopping = null;
+    this.metrics = new Metrics();
+    this.auditLog = new AuditLog(this.config);
+    this.replayCache = new ReplayCache(this.config);
+    this.rateLimiter = new RateLimiter(this.config);
+    this.sessionTimer = new SessionTimer();
+    
+    const prepared = this.prepareConfig(this.config);
+    Object.assign(this, prepared.services);
     
     this.s3Uploader = new S3Uploader(this.config);
-    this.recordingManager = new RecordingManager(this.config, this.s3Uploader);
+    this.recordingManager = new RecordingManager(this.config, this.s3Uploader, this.metrics, this.auditLog);
     this.webhookManager = new WebhookManager(this.config);
+    this.adminServer = new AdminServer(this.config, this, this.auditLog);
+    this.healthChecker = new HealthChecker(this.config, this.s3Uploader);
+    this.tenants = new Map();
     
+    this.setupTenants(prepared.tenants);
+    this.setupMetrics();
+    this.setupHealthChecks();
     this.setupGuacamoleLiteConfig();
   }
 
+  // Builds everything that only depends on the configuration without touching
+  // the running services, so a reload that fails here changes nothing.
+  prepareConfig(config) {
+    const tenantManager = new TenantManager(config);
+    const tenants = new Map();
+    
+    for (const id of tenantManager.getTenantIds()) {
+      const tenantConfig = tenantManager.getConfig(id);
+      tenants.set(id, { id, config: tenantConfig, ...this.createTenantServices(tenantConfig) });
+    }
+    
+    // Opened later by the logger and the webhook journals.
+    const directories = [config, ...Array.from(tenants.values(), tenant => tenant.config)]
+      .map(settings => settings.webhook_journal_dir)
+      .concat(config.log_file ? [path.dirname(config.log_file)] : [])
+      .filter(Boolean);
+    for (const directory of new Set(directories)) {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.accessSync(directory, fs.constants.W_OK);
+    }
+    
+    return {
+      services: {
+        ...this.createTenantServices(config),
+        tenantManager,
+        ipAllowList: Utils.createBlockList(config.client_ip_allow),
+        ipDenyList: Utils.createBlockList(config.client_ip_deny),
+        trustedProxies: Utils.createBlockList(config.trusted_proxies)
+      },
+      tenants
+    };
+  }
+
+  // Services without state of their own; a reload replaces them.
+  createTenantServices(config) {
+    return {
+      keyring: new Keyring(config),
+      jwtVerifier: new JwtVerifier(config),
+      authorizer: new ConnectionAuthorizer(config),
+      sessionLimiter: new SessionLimiter(config),
+      secretsManager: new SecretsManager(config),
+      connectionProfiles: new ConnectionProfiles(config),
+      destinationPolicy: new DestinationPolicy(config),
+      rolePolicy: new RolePolicy(config),
+      accessSchedule: new AccessSchedule(config)
+    };
+  }
+
+  setupMetrics() {
+    this.metrics.addCollector((metrics) => {
+      metrics.reset('active_connections');
+      for (const connection of this.connections.values()) {
+        metrics.inc('active_connections', {
+          protocol: connection.token?.protocol || 'unknown',
+          tenant: connection.token?.tenant
+        });
+      }
+      
+      metrics.reset('webhook_queue_depth');
+      for (const tenant of this.getAllTenants()) {
+        for (const endpoint of tenant.webhookManager.getEndpointStatus()) {
+          metrics.set('webhook_queue_depth', { tenant: tenant.id, endpoint: endpoint.name }, endpoint.pending);
+        }
+      }
+      metrics.set('lockouts_active', {}, this.rateLimiter.getActiveLockouts());
+    });
+    
+    this.adminServer.addRoute('GET', '/metrics', () => ({
+      body: this.metrics.render(),
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+    }), { public: this.config.metrics_public === true });
+  }
+
+  setupHealthChecks() {
+    this.healthChecker.addCheck('draining', () => {
+      if (this.draining) {
+        throw new Error('Server is draining');
+      }
+      return {};
+    });
+    
+    this.adminServer.addRoute('GET', '/healthz', () => ({
+      body: this.healthChecker.getLiveness()
+    }), { public: true });
+    
+    this.adminServer.addRoute('GET', '/readyz', async () => {
+      const readiness = await this.healthChecker.getReadiness();
+      return { status: readiness.status === 'ok' ? 200 : 503, body: readiness };
+    }, { public: true });
+  }
+
+  setupTenants(prepared) {
+    const tenants = new Map();
+    
+    for (const [id, services] of prepared) {
+      const tenant = this.tenants.get(id) || this.retiredTenants.get(id);
+      this.retiredTenants.delete(id);
+      
+      // Existing tenants keep their services with state so queued webhooks and uploads survive a reload.
+      if (tenant) {
+        for (const service of ['s3Uploader', 'recordingManager', 'webhookManager']) {
+          tenant[service].updateConfig(services.config);
+        }
+        tenants.set(id, Object.assign(tenant, services));
+      } else {
+        const s3Uploader = new S3Uploader(services.config);
+        tenants.set(id, {
+          ...services,
+          s3Uploader,
+          recordingManager: new RecordingManager(services.config, s3Uploader, this.metrics, this.auditLog, id),
+          webhookManager: new WebhookManager(services.config, id)
+        });
+      }
+    }
+    
+    // A removed tenant keeps its services until its last session ends, so
+    // that session's webhooks and recording still go to the tenant's own
+    // receivers and bucket.
+    for (const [id, tenant] of this.tenants) {
+      if (!tenants.has(id)) {
+        this.retiredTenants.set(id, tenant);
+        this.releaseRetiredTenant(id);
+      }
+    }
+    
+    this.tenants = tenants;
+  }
+
+  hasSessions(tenantId) {
+    return Array.from(this.connections.values()).some(connection => connection.token?.tenant === tenantId)
+      || Array.from(this.reservations.values()).some(reservation => reservation.token.tenant === tenantId);
+  }
+
+  releaseRetiredTenant(id) {
+    const tenant = this.retiredTenants.get(id);
+    if (!tenant || this.hasSessions(id)) return;
+    
+    this.retiredTenants.delete(id);
+    Promise.all([tenant.recordingManager.cleanup(), tenant.webhookManager.cleanup()]).catch((error) => {
+      logger.error('Error cleaning up removed tenant', { tenant: id, error });
+    });
+  }
+
+  getTenant(id) {
+    if (id && this.tenants.has(id)) {
+      return this.tenants.get(id);
+    }
+    
+    if (id && this.retiredTenants.has(id)) {
+      return this.retiredTenants.get(id);
+    }
+    
+    // Connections without a tenant use the global configuration and services.
+    return {
+      id: null,
+      config: this.config,
+      keyring: this.keyring,
+      jwtVerifier: this.jwtVerifier,
+      s3Uploader: this.s3Uploader,
+      recordingManager: this.recordingManager,
+      webhookManager: this.webhookManager,
+      authorizer: this.authorizer,
+      sessionLimiter: this.sessionLimiter,
+      secretsManager: this.secretsManager,
+      connectionProfiles: this.connectionProfiles,
+      destinationPolicy: this.destinationPolicy,
+      rolePolicy: this.rolePolicy,
+      accessSchedule: this.accessSchedule
+    };
+  }
+
+  getAllTenants() {
+    return [this.getTenant(null), ...this.tenants.values(), ...this.retiredTenants.values()];
+  }
+
   setupGuacamoleLiteConfig() {
-    this.guacamoleConfig = {
+    const options = {
       host: this.config.websocket_host || '0.0.0.0',
       port: this.config.websocket_port || 8080,
       guacdOptions: {
@@ -34,63 +312,215 @@ class GuacamoleLiteServer {
       unencryptedParams: Array.isArray(this.config.unencrypted_params) 
         ? this.config.unencrypted_params 
         : (this.config.unencrypted_params ? this.config.unencrypted_params.split(',').map(s => s.trim()) : []),
+      decryptToken: this.decryptToken.bind(this),
       processConnectionSettings: this.processConnectionSettings.bind(this)
     };
+    
+    // Keep the object guacamole-lite already holds so reloaded keys reach it.
+    if (this.guacamoleConfig) {
+      Object.assign(this.guacamoleConfig, options);
+    } else {
+      this.guacamoleConfig = options;
+    }
+  }
+
+  isReloadableKey(key) {
+    return RELOADABLE_KEYS.some(reloadable => reloadable.endsWith('_')
+      ? key.startsWith(reloadable)
+      : key === reloadable || key.startsWith(`${reloadable}.`));
+  }
+
+  reloadConfig() {
+    logger.info('Reloading configuration', { path: this.configLoader.configPath });
+    
+    const loader = new ConfigLoader(this.configLoader.configPath);
+    const next = loader.load();
+    
+    const changed = this.configLoader.diffConfig(this.config, next);
+    const applied = changed.filter(key => this.isReloadableKey(key));
+    const restartRequired = changed.filter(key => !this.isReloadableKey(key));
+    
+    const merged = {};
+    for (const key of new Set([...Object.keys(this.config), ...Object.keys(next)])) {
+      const source = this.isReloadableKey(key) ? next : this.config;
+      if (key in source) {
+        merged[key] = source[key];
+      }
+    }
+    
+    this.applyConfig(merged);
+    
+    logger.info('Configuration reloaded', { applied });
+    if (restartRequired.length > 0) {
+      logger.warn('Configuration keys changed that require a restart', { restartRequired });
+    }
+    
+    return { applied, restartRequired };
+  }
+
+  applyConfig(config) {
+    const prepared = this.prepareConfig(config);
+    
+    this.config = config;
+    this.configLoader.config = config;
+    Object.assign(this, prepared.services);
+    logger.configure(config);
+    
+    // These hold sessions, queues or counters, so they are updated in place.
+    for (const service of [this.s3Uploader, this.recordingManager, this.webhookManager, this.adminServer, this.healthChecker, this.replayCache, this.rateLimiter]) {
+      service.updateConfig(config);
+    }
+    
+    this.setupTenants(prepared.tenants);
+    this.setupGuacamoleLiteConfig();
   }
 
   async start() {
-    console.log('Starting Guacamole Lite Server...');
+    logger.info('Starting Guacamole Lite Server');
     
-    if (!this.config.secret_key) {
-      throw new Error('SECRET_KEY is required for token decryption');
+    // With tenant_required the global keys are never used, so they may be absent.
+    const tenants = this.config.tenant_required && this.tenantManager.isEnabled()
+      ? Array.from(this.tenants.values())
+      : this.getAllTenants();
+    
+    for (const tenant of tenants) {
+      const forTenant = tenant.id ? ` for tenant ${tenant.id}` : '';
+      
+      if (tenant.jwtVerifier.isEnabled()) {
+        if (!tenant.jwtVerifier.hasKeys()) {
+          throw new Error(`JWT_SECRET, JWT_PUBLIC_KEY_PATH or JWT_JWKS_PATH is required when token_format = jwt${forTenant}`);
+        }
+      } else if (!tenant.keyring.hasKeys()) {
+        throw new Error(`SECRET_KEY or a [keys.<id>] section is required for token decryption${forTenant}`);
+      }
+      
+      logger.info('Token keys loaded', {
+        tenant: tenant.id || undefined,
+        format: tenant.config.token_format || 'aes',
+        keys: tenant.keyring.describeKeys()
+      });
     }
 
+    if (!GuacamoleLiteServer.providesRequestContext(GuacamoleLite)) {
+      const tokenFeatures = this.getDecryptTokenFeatures();
+      if (tokenFeatures.length > 0) {
+        throw new Error(`${tokenFeatures.join(', ')} need guacamole-lite to call decryptToken, but the installed guacamole-lite decrypts tokens itself with secret_key`);
+      }
+      
+      const features = this.getClientAddressFeatures();
+      if (features.length > 0) {
+        throw new Error(`${features.join(', ')} need the client address, but the installed guacamole-lite does not pass the connection request to decryptToken and processConnectionSettings`);
+      }
+    }
+    
+    this.auditLog.open();
+    
     this.server = new GuacamoleLite(this.guacamoleConfig);
     
     this.setupEventHandlers();
     
     await this.server.start();
     
-    console.log(`Server started on ${this.config.websocket_host}:${this.config.websocket_port}`);
-    console.log(`Guacd connection: ${this.config.guacd_host}:${this.config.guacd_port}`);
+    logger.info('Server started', {
+      websocket: `${this.config.websocket_host}:${this.config.websocket_port}`,
+      guacd: `${this.config.guacd_host}:${this.config.guacd_port}`
+    });
     
     if (this.s3Uploader.isAvailable()) {
-      console.log('S3 upload enabled');
+      logger.info('S3 upload enabled');
     }
     
     if (this.webhookManager.isEnabled()) {
-      console.log('Webhook notifications enabled');
+      logger.info('Webhook notifications enabled', { endpoints: Array.from(this.webhookManager.endpoints.keys()) });
+    }
+    
+    // Deliveries the previous run didn't finish, e.g. session_ended events
+    // queued during a redeploy.
+    for (const tenant of this.getAllTenants()) {
+      tenant.webhookManager.replayJournal();
+    }
+    
+    if (this.tenantManager.isEnabled()) {
+      logger.info('Multi-tenant mode enabled', { tenants: this.tenantManager.getTenantIds() });
+    }
+    
+    if (this.adminServer.isEnabled()) {
+      await this.adminServer.start();
     }
   }
 
   setupEventHandlers() {
     this.server.on('connection', (connection) => {
-      console.log('New connection:', connection.connectionId);
+      const log = this.connectionLogger(connection);
+      
+      if (this.draining) {
+        log.info('Rejecting connection while draining');
+        if (connection.close) {
+          connection.close();
+        }
+        return;
+      }
+      
+      log.verbose('New connection');
       this.connections.set(connection.connectionId, connection);
       
       connection.on('open', (sessionId) => {
-        console.log('Session opened:', sessionId);
+        this.connectionLogger(connection, sessionId).info('Session opened', {
+          protocol: connection.token?.protocol,
+          hostname: connection.token?.hostname
+        });
         this.handleSessionOpen(connection, sessionId);
       });
       
       connection.on('close', (sessionId) => {
-        console.log('Session closed:', sessionId);
-        this.handleSessionClose(connection, sessionId);
+        this.connectionLogger(connection, sessionId).info('Session closed');
+        const closing = this.handleSessionClose(connection, sessionId);
+        this.pendingCloses.add(closing);
+        closing.finally(() => this.pendingCloses.delete(closing));
       });
       
       connection.on('error', (error) => {
-        console.error('Connection error:', error);
         this.handleConnectionError(connection, error);
       });
     });
   }
 
   async handleSessionOpen(connection, sessionId) {
+    connection.sessionId = sessionId;
+    connection.startedAt = new Date();
+    
+    // From here on the connection counts itself.
+    const reservation = this.reservations.get(connection.connectionId);
+    this.reservations.delete(connection.connectionId);
+    if (reservation?.evicted) {
+      connection.evicted = true;
+      if (connection.close) {
+        connection.close();
+      }
+      return;
+    }
+    
+    const tenant = this.getTenant(connection.token?.tenant);
+    this.metrics.inc('sessions_opened_total', { protocol: connection.token?.protocol || 'unknown', tenant: tenant.id });
+    
+    // Scheduled first so a failure below can't leave a session without its limit.
+    this.scheduleSessionExpiry(connection, sessionId);
+    
     try {
-      await this.webhookManager.sendSessionStarted(sessionId, connection);
+      this.auditLog.record('session_started', {
+        ...Utils.getLogContext(connection, sessionId),
+        clientIp: this.getClientIp(connection),
+        protocol: connection.token?.protocol || null,
+        hostname: connection.token?.hostname || null,
+        port: connection.token?.port || null
+      });
+      
+      await tenant.webhookManager.sendSessionStarted(sessionId, connection);
       
-      if (connection.token?.recording === true || this.config.recordings_enabled) {
-        const recordingInfo = await this.recordingManager.handleRecordingStart(
+      const recording = connection.token?.authorization?.recording
+        ?? (connection.token?.recording === true || tenant.config.recordings_enabled);
+      if (recording) {
+        const recordingInfo = await tenant.recordingManager.handleRecordingStart(
           connection,
           sessionId
         );
@@ -98,99 +528,730 @@ class GuacamoleLiteServer {
         if (recordingInfo) {
           connection.recordingPath = recordingInfo.path;
           connection.recordingFilename = recordingInfo.filename;
-          console.log('Recording started:', recordingInfo.filename);
+          this.connectionLogger(connection).info('Recording started', { filename: recordingInfo.filename });
+          this.auditLog.record('recording_created', {
+            ...Utils.getLogContext(connection, sessionId),
+            filename: recordingInfo.filename
+          });
         }
       }
     } catch (error) {
-      console.error('Error handling session open:', error);
+      this.connectionLogger(connection).error('Error handling session open', { error });
     }
   }
 
+  getSessionDeadline(token, now = Date.now()) {
+    const deadlines = [];
+    const tenant = this.getTenant(token?.tenant);
+    
+    const maxDuration = SessionTimer.getMaxDuration(tenant.config, token);
+    if (maxDuration) {
+      deadlines.push({ reason: 'max_duration', duration: maxDuration });
+    }
+    
+    if (token?.schedule && tenant.accessSchedule.getSchedule(token.schedule)) {
+      // A window that closed during the handshake still gets the grace period.
+      const windowEnd = tenant.accessSchedule.getWindowEnd(token.schedule, now) ?? now;
+      deadlines.push({ reason: 'schedule', duration: windowEnd - now + (tenant.config.schedule_grace_period ?? 300000) });
+    }
+    
+    return deadlines.sort((a, b) => a.duration - b.duration)[0] || null;
+  }
+
+  scheduleSessionExpiry(connection, sessionId) {
+    const deadline = this.getSessionDeadline(connection.token);
+    if (!deadline) return;
+    
+    const { reason, duration } = deadline;
+    const log = this.connectionLogger(connection, sessionId);
+    
+    connection.expiresAt = new Date(this.sessionTimer.schedule(connection.connectionId, duration, this.config.session_expiry_warning ?? 300000, {
+      onWarning: (expiresAt) => {
+        log.info('Session expiring soon', { reason, expiresAt: new Date(expiresAt).toISOString() });
+        this.getTenant(connection.token?.tenant).webhookManager.sendSessionExpiring(sessionId, connection, expiresAt);
+      },
+      onExpire: () => {
+        log.info(reason === 'schedule' ? 'Closing session at the end of its access window' : 'Closing session at maximum duration', {
+          reason,
+          schedule: reason === 'schedule' ? connection.token.schedule : undefined
+        });
+        // Closing emits 'close', which finalizes the recording in handleSessionClose.
+        if (connection.close) {
+          connection.close();
+        }
+        
+        this.recordAudit('session_expired', {
+          ...Utils.getLogContext(connection, sessionId),
+          reason,
+          schedule: connection.token?.schedule || null
+        });
+      }
+    }));
+  }
+
   async handleSessionClose(connection, sessionId) {
+    this.sessionTimer.clear(connection.connectionId);
+    this.reservations.delete(connection.connectionId);
+    
+    const protocol = connection.token?.protocol || 'unknown';
+    const tenant = this.getTenant(connection.token?.tenant);
+    this.metrics.inc('sessions_closed_total', { protocol, tenant: tenant.id });
+    
+    const durationSeconds = connection.startedAt
+      ? (Date.now() - connection.startedAt.getTime()) / 1000
+      : null;
+    
+    if (durationSeconds !== null) {
+      this.metrics.observe('session_duration_seconds', { protocol, tenant: tenant.id }, durationSeconds);
+    }
+    
     try {
-      await this.webhookManager.sendSessionEnded(sessionId, connection);
+      this.auditLog.record('session_ended', {
+        ...Utils.getLogContext(connection, sessionId),
+        clientIp: this.getClientIp(connection),
+        protocol: connection.token?.protocol || null,
+        hostname: connection.token?.hostname || null,
+        durationSeconds
+      });
+      
+      await tenant.webhookManager.sendSessionEnded(sessionId, connection);
       
       if (connection.recordingPath) {
-        console.log('Processing recording:', connection.recordingFilename);
+        this.connectionLogger(connection, sessionId).info('Processing recording', { filename: connection.recordingFilename });
         
-        const processedPath = await this.recordingManager.handleRecordingEnd(
+        const processedPath = await tenant.recordingManager.handleRecordingEnd(
           connection.recordingPath,
           connection,
           sessionId
         );
         
-        if (processedPath && this.config.recordings_storage === 's3') {
-          const bucket = this.s3Uploader.getBucket(connection);
-          const key = processedPath.replace(this.config.recordings_path, '').replace(/^\//, '');
+        if (processedPath && tenant.config.recordings_storage === 's3') {
+          const bucket = tenant.s3Uploader.getBucket(connection);
+          const key = processedPath.replace(tenant.config.recordings_path, '').replace(/^\//, '');
           
-          await this.webhookManager.sendRecordingSaved(sessionId, connection, bucket, key);
+          await tenant.webhookManager.sendRecordingSaved(sessionId, connection, bucket, key);
         }
       }
-      
-      this.connections.delete(connection.connectionId);
     } catch (error) {
-      console.error('Error handling session close:', error);
+      this.connectionLogger(connection, sessionId).error('Error handling session close', { error });
+    } finally {
+      // Removed even after a failure, or draining would wait for it in vain.
+      this.connections.delete(connection.connectionId);
+      this.releaseRetiredTenant(connection.token?.tenant);
     }
   }
 
   handleConnectionError(connection, error) {
-    console.error(`Connection ${connection.connectionId} error:`, error);
+    this.sessionTimer.clear(connection.connectionId);
+    this.reservations.delete(connection.connectionId);
+    
+    const log = this.connectionLogger(connection);
+    log.error('Connection error', { error });
+    
+    if (/decrypt|token validation/i.test(error?.message || '')) {
+      // decryptToken names the tenant whose key failed, so the failure is
+      // only reported to that tenant.
+      const tenant = this.getTenant(error.tenant);
+      const reason = error.reason || 'decryption_failed';
+      this.metrics.inc('token_rejections_total', { reason, tenant: tenant.id });
+      this.recordAudit('token_rejected', {
+        reason,
+        error: error.message,
+        tenant: tenant.id,
+        connectionId: connection.connectionId ?? null,
+        clientIp: this.getClientIp(connection)
+      });
+      tenant.webhookManager.sendConnectionRejected(reason, { clientIp: this.getClientIp(connection), tenant: tenant.id });
+    }
     
     if (connection.recordingPath) {
-      console.log('Cleaning up recording due to error');
+      log.info('Cleaning up recording due to error', { filename: connection.recordingFilename });
     }
     
     this.connections.delete(connection.connectionId);
+    this.releaseRetiredTenant(connection.token?.tenant);
+  }
+
+  // guacamole-lite must call decryptToken(token, context) and
+  // processConnectionSettings(settings, context), where context carries the
+  // connectionId and the WebSocket upgrade request, and set connection.request.
+  // Releases whose Server takes (wsOptions, guacdOptions, clientOptions,
+  // callbacks) call processConnectionSettings(settings, callback) instead and
+  // never hand over the request.
+  static providesRequestContext(Library) {
+    return Library.length <= 1;
   }
 
-  processConnectionSettings(token) {
+  // Settings that only take effect when tokens go through decryptToken.
+  getDecryptTokenFeatures() {
+    const features = [];
+    
+    if (Object.keys(this.config.keys || {}).length > 0) {
+      features.push('[keys.*]');
+    }
+    if (this.getAllTenants().some(tenant => tenant.jwtVerifier.isEnabled())) {
+      features.push('token_format = jwt');
+    }
+    if (this.tenantManager.isEnabled()) {
+      features.push('tenants');
+    }
+    
+    return features;
+  }
+
+  // Settings that can't be enforced without the connection request.
+  getClientAddressFeatures() {
+    const features = ['client_ip_allow', 'client_ip_deny', 'rate_limit_enable']
+      .filter(key => key === 'rate_limit_enable' ? this.rateLimiter.isEnabled() : Utils.parseList(this.config[key]).length > 0);
+    
+    for (const id of this.tenantManager.getTenantIds()) {
+      for (const key of ['hosts', 'path_prefix']) {
+        if (Utils.parseList(this.config.tenants[id][key]).length > 0) {
+          features.push(`tenants.${id}.${key}`);
+        }
+      }
+    }
+    
+    return features;
+  }
+
+  // Refused rather than skipped, so a missing address never opens a way past
+  // the IP rules, rate limits or lockouts.
+  checkClientAddress(context) {
+    if (context.clientIp || context.request) return;
+    
+    const features = this.getClientAddressFeatures();
+    if (features.length > 0) {
+      this.rejectConnection('client_ip_unknown', `Client address is unknown but required by ${features.join(', ')}`);
+    }
+  }
+
+  decryptToken(token, context = {}) {
+    if (!context.clientIp && context.request) {
+      context.clientIp = this.resolveClientIp(context.request);
+    }
+    
+    let tenant;
     try {
-      if (this.config.token_expiration_check && token.expiration) {
-        const now = Date.now();
-        const expiration = parseInt(token.expiration, 10);
-        
-        if (now > expiration) {
-          throw new Error('Token has expired');
+      this.checkClientAddress(context);
+      
+      if (this.rateLimiter.isEnabled()) {
+        this.checkAttemptRate(context.clientIp);
+      }
+      
+      const selected = this.tenantManager.select(token, context.request);
+      tenant = this.getTenant(selected.tenantId);
+      token = selected.token;
+    } catch (error) {
+      this.recordRejection(error, null, context.clientIp);
+      throw error;
+    }
+    
+    try {
+      let settings;
+      if (tenant.jwtVerifier.isEnabled()) {
+        const claims = tenant.jwtVerifier.verify(token);
+        settings = tenant.jwtVerifier.toToken(claims, blob => tenant.keyring.decrypt(blob).settings);
+      } else {
+        const decrypted = tenant.keyring.decrypt(token);
+        logger.debug('Token decrypted', { keyId: decrypted.keyId, tenant: tenant.id || undefined });
+        settings = decrypted.settings;
+      }
+      
+      // The tenant is decided by how the connection arrived and which key
+      // opened the token, never by a field inside it.
+      delete settings.tenant;
+      if (tenant.id) {
+        settings.tenant = tenant.id;
+      }
+      return settings;
+    } catch (error) {
+      if (this.rateLimiter.isEnabled()) {
+        this.recordDecryptFailure(context.clientIp);
+      }
+      error.tenant = tenant.id;
+      throw error;
+    }
+  }
+
+  checkAttemptRate(clientIp) {
+    const lockedUntil = this.rateLimiter.getLockout(clientIp);
+    if (lockedUntil) {
+      this.metrics.inc('rate_limit_hits_total', { scope: 'lockout' });
+      this.rejectConnection('locked_out', `Client ${clientIp} is temporarily locked out until ${new Date(lockedUntil).toISOString()}`);
+    }
+    
+    if (!this.rateLimiter.consume('ip', clientIp)) {
+      this.metrics.inc('rate_limit_hits_total', { scope: 'ip' });
+      this.rejectConnection('rate_limited_ip', `Too many connection attempts from ${clientIp}`);
+    }
+  }
+
+  checkUserRate(token) {
+    const userId = token.meta?.userId;
+    
+    if (userId && !this.rateLimiter.consume('user', String(userId))) {
+      this.metrics.inc('rate_limit_hits_total', { scope: 'user' });
+      this.rejectConnection('rate_limited_user', `Too many connection attempts for user ${userId}`);
+    }
+  }
+
+  recordDecryptFailure(clientIp) {
+    const lockout = this.rateLimiter.recordFailure(clientIp);
+    if (!lockout) return;
+    
+    logger.warn('Client locked out after repeated token failures', {
+      clientIp,
+      failures: lockout.failures,
+      until: new Date(lockout.until).toISOString()
+    });
+    this.recordAudit('client_locked_out', {
+      clientIp,
+      failures: lockout.failures,
+      until: new Date(lockout.until).toISOString()
+    });
+    this.webhookManager.sendClientLockedOut(clientIp, lockout.failures, lockout.until);
+  }
+
+  async processConnectionSettings(token, context = {}) {
+    if (!context.clientIp && context.request) {
+      context.clientIp = this.resolveClientIp(context.request);
+    }
+    
+    try {
+      if (this.draining) {
+        this.rejectConnection('draining', 'Server is shutting down');
+      }
+      
+      this.checkClientAddress(context);
+      
+      const tenant = this.getTenant(token.tenant);
+      
+      // Only the authorization service decides this; a token can't carry it.
+      delete token.authorization;
+      const requested = { ...token };
+      
+      // Expanded in place so connection.token carries the profile's target
+      // for session limits, schedules and webhooks.
+      if (token.profile) {
+        // The tenant was set by the server, so it isn't the profile's to allow.
+        const { tenant: tenantId, ...fields } = token;
+        Object.assign(token, tenant.connectionProfiles.expand(fields));
+      }
+      
+      this.checkClientIp(token, context.clientIp);
+      
+      if (this.rateLimiter.isEnabled()) {
+        this.checkUserRate(token);
+      }
+      
+      this.checkTokenLifetime(token);
+      this.checkSchedule(token, tenant);
+      
+      const destination = tenant.destinationPolicy.isEnabled()
+        ? await tenant.destinationPolicy.checkToken(token)
+        : null;
+      
+      const locked = Utils.findLockedParams(token, tenant.config).filter(key => key in requested);
+      if (locked.length > 0) {
+        this.rejectConnection('param_locked', `Token sets locked parameters: ${locked.join(', ')}`);
+      }
+      
+      const settings = Utils.createConnectionSettings(token, tenant.config);
+      
+      // Applied after the defaults so neither they nor the token can override it.
+      if (tenant.rolePolicy.isEnabled()) {
+        const policy = tenant.rolePolicy.apply(settings, token);
+        if (policy.roles.length > 0 || policy.removed.length > 0) {
+          logger.debug('Role policies applied', { userId: token.meta?.userId, ...policy });
         }
       }
       
-      const settings = Utils.createConnectionSettings(token, this.config);
+      // Asked last among the policies so its overrides win over all of them.
+      if (tenant.authorizer.isEnabled()) {
+        const decision = await tenant.authorizer.authorize(token, settings, context);
+        if (decision) {
+          Object.assign(settings, decision.params);
+          if (decision.recording !== null) {
+            token.authorization = { recording: decision.recording };
+          }
+          logger.debug('Connection authorized', {
+            userId: token.meta?.userId,
+            overrides: Object.keys(decision.params),
+            recording: decision.recording
+          });
+        }
+      }
       
-      if (this.config.drive_path_template && settings.protocol === 'rdp') {
+      // Hand guacd the address that was checked so a second DNS answer can't differ.
+      if (destination && this.config.destination_pin_address && destination.addresses.length > 0) {
+        settings.hostname = destination.addresses[0];
+      }
+      
+      if (tenant.config.drive_path_template && settings.protocol === 'rdp') {
         settings['drive-path'] = this.configLoader.interpolateTemplate(
-          this.config.drive_path_template,
+          tenant.config.drive_path_template,
           token.meta || {}
         );
       }
       
+      // Resolved into the settings only; the token keeps the references, so
+      // webhooks, audit entries and recording metadata never see the values.
+      const secretParams = await tenant.secretsManager.resolve(settings);
+      
+      // Only checked here: older sessions are evicted once nothing else can
+      // refuse this connection, so a rejected attempt never kicks anyone off.
+      const violations = tenant.sessionLimiter.isEnabled()
+        ? this.checkSessionLimits(token, context, tenant)
+        : [];
+      if (tenant.sessionLimiter.isEnabled() && context.connectionId !== undefined) {
+        this.reservations.set(context.connectionId, { connectionId: context.connectionId, token });
+      }
+      
+      // Consumed last so a token refused for another reason can still be used.
+      if (this.replayCache.isEnabled()) {
+        const result = this.replayCache.consume(token);
+        if (!result.accepted) {
+          this.rejectConnection(result.reason, REPLAY_MESSAGES[result.reason]);
+        }
+      }
+      
+      logger.debug('Connection parameters resolved', {
+        userId: token.meta?.userId,
+        settings: {
+          ...Utils.sanitizeWebhookPayload(settings),
+          ...Object.fromEntries(secretParams.map(key => [key, '[REDACTED]']))
+        }
+      });
+      
+      this.auditLog.record('token_accepted', {
+        userId: token.meta?.userId || null,
+        clientIp: context.clientIp || null,
+        tenant: tenant.id,
+        profile: token.profile || null,
+        protocol: settings.protocol || null,
+        hostname: settings.hostname || null,
+        port: settings.port || null
+      });
+      
+      if (violations.length > 0) {
+        this.evictSessions(violations, token, tenant);
+      }
+      
       return settings;
     } catch (error) {
-      console.error('Error processing connection settings:', error);
+      if (context.connectionId !== undefined) {
+        this.reservations.delete(context.connectionId);
+      }
+      this.recordRejection(error, token, context.clientIp);
       throw error;
     }
   }
 
+  checkSessionLimits(token, context, tenant = this.getTenant(token.tenant)) {
+    // A connection stands in for its reservation once it carries the token.
+    const sessions = new Map(this.reservations);
+    for (const connection of this.connections.values()) {
+      if (connection.token || !sessions.has(connection.connectionId)) {
+        sessions.set(connection.connectionId, connection);
+      }
+    }
+    
+    // Tenants only count, and only evict, their own sessions.
+    const others = Array.from(sessions.values())
+      .filter(connection => connection.connectionId !== context.connectionId)
+      .filter(connection => (connection.token?.tenant || null) === tenant.id);
+    const violations = tenant.sessionLimiter.findViolations(token, others);
+    
+    if (violations.length > 0 && tenant.sessionLimiter.getPolicy() === 'reject') {
+      const { scope, key, limit } = violations[0];
+      this.rejectConnection(`session_limit_${scope}`,
+        `Concurrent session limit of ${limit} reached${key ? ` for ${scope} ${key}` : ''}`);
+    }
+    
+    return violations;
+  }
+
+  evictSessions(violations, token, tenant) {
+    for (const connection of tenant.sessionLimiter.selectEvictions(violations)) {
+      const scopes = violations.filter(violation => violation.sessions.includes(connection)).map(violation => violation.scope);
+      
+      this.connectionLogger(connection).info('Evicting session to make room for a new one', { scopes });
+      this.metrics.inc('sessions_evicted_total', { scope: scopes[0], tenant: tenant.id });
+      this.recordAudit('session_evicted', {
+        sessionId: connection.sessionId || null,
+        userId: connection.token?.meta?.userId || null,
+        hostname: connection.token?.hostname || null,
+        scopes,
+        evictedBy: token.meta?.userId || null
+      });
+      
+      // A reservation stands for a handshake; its connection, if already
+      // known, is closed, and otherwise it is closed when it opens.
+      const live = this.connections.get(connection.connectionId) || connection;
+      connection.evicted = true;
+      live.evicted = true;
+      if (live.close) {
+        live.close();
+      }
+    }
+  }
+
+  recordRejection(error, token, clientIp) {
+    const reason = error.reason || 'invalid_settings';
+    const tenant = this.getTenant(token?.tenant);
+    
+    logger.warn('Connection rejected', {
+      reason,
+      error: error.message,
+      clientIp,
+      tenant: tenant.id || undefined,
+      userId: token?.meta?.userId,
+      protocol: token?.protocol,
+      hostname: token?.hostname
+    });
+    this.metrics.inc('token_rejections_total', { reason, tenant: tenant.id });
+    this.recordAudit('token_rejected', {
+      reason,
+      error: error.message,
+      tenant: tenant.id,
+      userId: token?.meta?.userId || null,
+      clientIp: clientIp || null,
+      protocol: token?.protocol || null,
+      hostname: token?.hostname || null
+    });
+    tenant.webhookManager.sendConnectionRejected(reason, {
+      clientIp,
+      protocol: token?.protocol,
+      hostname: token?.hostname,
+      meta: token?.meta,
+      tenant: tenant.id
+    });
+  }
+
+  checkClientIp(token, clientIp) {
+    if (clientIp && Utils.ipInList(this.ipDenyList, clientIp)) {
+      this.rejectConnection('ip_denied', `Client IP ${clientIp} is denied`);
+    }
+    
+    if (this.ipAllowList && !Utils.ipInList(this.ipAllowList, clientIp)) {
+      this.rejectConnection('ip_not_allowed', `Client IP ${clientIp || 'unknown'} is not allowed`);
+    }
+    
+    if (token.allowedIps) {
+      let bound;
+      try {
+        bound = Utils.createBlockList(token.allowedIps);
+      } catch (error) {
+        this.rejectConnection('token_ip_mismatch', `Token allowedIps is invalid: ${error.message}`);
+      }
+      
+      if (bound && !Utils.ipInList(bound, clientIp)) {
+        this.rejectConnection('token_ip_mismatch', `Token is not valid from ${clientIp || 'an unknown address'}`);
+      }
+    }
+  }
+
+  checkTokenLifetime(token) {
+    const expiration = parseInt(token.expiration, 10);
+    const hasExpiration = !Number.isNaN(expiration);
+    const notBefore = parseInt(token.notBefore, 10);
+    const now = Date.now();
+    
+    if (!Number.isNaN(notBefore) && now < notBefore) {
+      this.rejectConnection('not_yet_valid', 'Token is not valid yet');
+    }
+    
+    if (!hasExpiration) {
+      if (this.config.token_expiration_required) {
+        this.rejectConnection('expiration_missing', 'Token has no expiration');
+      }
+      return;
+    }
+    
+    if ((this.config.token_expiration_check || this.config.token_expiration_required) && now > expiration) {
+      this.rejectConnection('expired', 'Token has expired');
+    }
+    
+    const maxLifetime = this.config.token_max_lifetime || 0;
+    if (maxLifetime > 0 && expiration - now > maxLifetime) {
+      this.rejectConnection('lifetime_exceeded', 'Token expiration exceeds token_max_lifetime');
+    }
+  }
+
+  checkSchedule(token, tenant) {
+    if (!token.schedule) return;
+    
+    if (!tenant.accessSchedule.getSchedule(token.schedule)) {
+      this.rejectConnection('schedule_unknown', `Token references unknown schedule '${token.schedule}'`);
+    }
+    
+    if (!tenant.accessSchedule.isOpen(token.schedule)) {
+      this.rejectConnection('outside_schedule', `Access schedule '${token.schedule}' is currently closed`);
+    }
+  }
+
+  // For timers, event listeners and error paths, where a failed audit write
+  // must not become an uncaught exception or hide the original error.
+  recordAudit(event, fields) {
+    try {
+      this.auditLog.record(event, fields);
+    } catch (error) {
+      logger.error('Audit log write failed', { event, error });
+    }
+  }
+
+  rejectConnection(reason, message) {
+    throw Utils.createError(reason, message);
+  }
+
   async stop() {
-    console.log('Stopping Guacamole Lite Server...');
+    if (!this.stopping) {
+      this.stopping = this.drainAndStop();
+    }
+    
+    return this.stopping;
+  }
+
+  async drainAndStop() {
+    const gracePeriod = this.config.shutdown_grace_period ?? 30000;
+    
+    logger.info('Draining Guacamole Lite Server', { gracePeriod, activeSessions: this.connections.size });
+    this.draining = true;
+    
+    // Tenants that inherit a global webhook endpoint are notified once, through it.
+    const notifiedUrls = new Set();
+    for (const tenant of this.getAllTenants()) {
+      await tenant.webhookManager.sendServerDraining(this.connections.size, gracePeriod, notifiedUrls);
+    }
     
     if (this.server) {
       await this.server.stop();
     }
     
-    for (const connection of this.connections.values()) {
-      try {
-        if (connection.close) {
-          connection.close();
+    const drained = await this.waitFor(() => this.connections.size === 0, gracePeriod);
+    
+    if (!drained) {
+      logger.warn('Grace period expired, closing remaining sessions', { remaining: this.connections.size });
+      
+      for (const connection of this.connections.values()) {
+        try {
+          if (connection.close) {
+            connection.close();
+          }
+        } catch (error) {
+          this.connectionLogger(connection).error('Error closing connection', { error });
         }
-      } catch (error) {
-        console.error('Error closing connection:', error);
       }
+      
+      await this.waitFor(() => this.connections.size === 0, 5000);
+    }
+    
+    // Closed sessions may still be compressing and queueing their recordings.
+    await Promise.all(Array.from(this.pendingCloses));
+    
+    for (const tenant of this.getAllTenants()) {
+      await tenant.recordingManager.cleanup();
+      await tenant.webhookManager.cleanup();
+    }
+    await this.adminServer.stop();
+    this.auditLog.close();
+    
+    logger.info('Server stopped');
+  }
+
+  async waitFor(predicate, timeout, interval = 250) {
+    const deadline = Date.now() + timeout;
+    
+    while (!predicate()) {
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(interval, deadline - Date.now())));
     }
     
-    await this.recordingManager.cleanup();
-    await this.webhookManager.cleanup();
+    return true;
+  }
+
+  resolveClientIp(request) {
+    return Utils.resolveClientIp(
+      request.socket?.remoteAddress,
+      request.headers?.['x-forwarded-for'],
+      this.trustedProxies
+    );
+  }
+
+  getClientIp(connection) {
+    if (!connection.clientIp && connection.request) {
+      connection.clientIp = this.resolveClientIp(connection.request);
+    }
+    return connection.clientIp || null;
+  }
+
+  connectionLogger(connection, sessionId) {
+    return logger.child(Utils.getLogContext(connection, sessionId));
+  }
+
+  describeConnection(connection) {
+    const token = connection.token || {};
+    
+    return {
+      connectionId: connection.connectionId,
+      sessionId: connection.sessionId || null,
+      tenant: token.tenant || null,
+      protocol: token.protocol || null,
+      hostname: token.hostname || null,
+      port: token.port || null,
+      userId: token.meta?.userId || null,
+      clientIp: this.getClientIp(connection),
+      startedAt: connection.startedAt ? connection.startedAt.toISOString() : null,
+      expiresAt: connection.expiresAt ? connection.expiresAt.toISOString() : null,
+      recording: {
+        active: !!connection.recordingPath,
+        filename: connection.recordingFilename || null
+      }
+    };
+  }
+
+  findConnection(id) {
+    if (this.connections.has(id)) {
+      return this.connections.get(id);
+    }
+    
+    for (const connection of this.connections.values()) {
+      if (String(connection.connectionId) === id || connection.sessionId === id) {
+        return connection;
+      }
+    }
+    
+    return null;
+  }
+
+  listSessions() {
+    return Array.from(this.connections.values()).map(connection => this.describeConnection(connection));
+  }
+
+  getSession(id) {
+    const connection = this.findConnection(id);
+    return connection ? this.describeConnection(connection) : null;
+  }
+
+  terminateSession(id) {
+    const connection = this.findConnection(id);
+    
+    if (!connection) {
+      return null;
+    }
+    
+    this.connectionLogger(connection).info('Terminating session via admin API');
+    
+    // Closing the connection emits 'close', so the recording is finalized
+    // through the regular handleSessionClose path.
+    if (connection.close) {
+      connection.close();
+    }
     
-    console.log('Server stopped');
+    return this.describeConnection(connection);
   }
 
   getStatus() {
@@ -199,9 +1260,13 @@ class GuacamoleLiteServer {
       connections: this.connections.size,
       s3Available: this.s3Uploader.isAvailable(),
       webhookEnabled: this.webhookManager.isEnabled(),
-      webhookQueue: this.webhookManager.getQueueStatus()
+      draining: this.draining,
+      adminEnabled: this.adminServer.isEnabled(),
+      webhookQueue: this.webhookManager.getQueueStatus(),
+      webhookEndpoints: this.webhookManager.getEndpointStatus()
     };
   }
 }
 
-module.exports = GuacamoleLiteServer;
\ No newline at end of file
+module.exports = GuacamoleLiteServer;
+module.exports.WebhookSignature = WebhookSignature;
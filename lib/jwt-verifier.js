@@ -0,0 +1,186 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Utils = require('./utils');
+
+const ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  RS256: { type: 'rsa', hash: 'sha256' },
+  ES256: { type: 'ec', hash: 'sha256' }
+};
+
+const DEFAULT_CLAIMS = {
+  'meta.userId': 'sub',
+  jti: 'jti'
+};
+
+class JwtVerifier {
+  constructor(config) {
+    this.updateConfig(config);
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.keys = this.loadKeys();
+  }
+
+  isEnabled() {
+    return this.config.token_format === 'jwt';
+  }
+
+  getAlgorithms() {
+    const configured = this.config.jwt_algorithms || Object.keys(ALGORITHMS);
+    const list = Array.isArray(configured) ? configured : [configured];
+    return list.filter(alg => ALGORITHMS[alg]);
+  }
+
+  loadKeys() {
+    const keys = [];
+
+    if (this.config.jwt_secret) {
+      keys.push({ kid: null, type: 'hmac', key: Buffer.from(String(this.config.jwt_secret)) });
+    }
+
+    if (this.config.jwt_public_key_path) {
+      const key = crypto.createPublicKey(fs.readFileSync(this.config.jwt_public_key_path));
+      keys.push({ kid: null, type: key.asymmetricKeyType, key });
+    }
+
+    if (this.config.jwt_jwks_path) {
+      const jwks = JSON.parse(fs.readFileSync(this.config.jwt_jwks_path, 'utf8'));
+
+      for (const jwk of jwks.keys || []) {
+        if (jwk.kty === 'oct') {
+          keys.push({ kid: jwk.kid || null, type: 'hmac', key: Buffer.from(jwk.k, 'base64url') });
+        } else {
+          const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+          keys.push({ kid: jwk.kid || null, type: key.asymmetricKeyType, key });
+        }
+      }
+    }
+
+    return keys;
+  }
+
+  hasKeys() {
+    return this.keys.length > 0;
+  }
+
+  verify(jwt, now = Date.now()) {
+    const parts = String(jwt).split('.');
+    if (parts.length !== 3) {
+      throw Utils.createError('invalid_jwt', 'Token validation failed: malformed JWT');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw Utils.createError('invalid_jwt', 'Token validation failed: malformed JWT');
+    }
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm || !this.getAlgorithms().includes(header.alg)) {
+      throw Utils.createError('invalid_jwt', `Token validation failed: algorithm ${header.alg} is not allowed`);
+    }
+
+    const candidates = this.keys.filter(key => key.type === algorithm.type
+      && (header.kid === undefined || key.kid === null || key.kid === header.kid));
+
+    const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+
+    if (!candidates.some(key => this.verifySignature(algorithm, key.key, data, signature))) {
+      throw Utils.createError('invalid_signature', 'Token validation failed: invalid signature');
+    }
+
+    this.validateClaims(claims, now);
+
+    return claims;
+  }
+
+  verifySignature(algorithm, key, data, signature) {
+    if (algorithm.type === 'hmac') {
+      const expected = crypto.createHmac(algorithm.hash, key).update(data).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    // JWS carries ECDSA signatures as raw r||s rather than DER.
+    const verifyKey = algorithm.type === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+
+    try {
+      return crypto.verify(algorithm.hash, data, verifyKey, signature);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  validateClaims(claims, now) {
+    const tolerance = this.config.jwt_clock_tolerance || 0;
+
+    if (claims.exp !== undefined && now - tolerance >= claims.exp * 1000) {
+      throw Utils.createError('expired', 'Token validation failed: JWT has expired');
+    }
+
+    if (claims.nbf !== undefined && now + tolerance < claims.nbf * 1000) {
+      throw Utils.createError('not_yet_valid', 'Token validation failed: JWT is not yet valid');
+    }
+
+    if (this.config.jwt_audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.config.jwt_audience)) {
+        throw Utils.createError('invalid_audience', 'Token validation failed: unexpected audience');
+      }
+    }
+
+    if (this.config.jwt_issuer && claims.iss !== this.config.jwt_issuer) {
+      throw Utils.createError('invalid_issuer', 'Token validation failed: unexpected issuer');
+    }
+  }
+
+  toToken(claims, decryptBlob) {
+    const settingsClaim = this.config.jwt_settings_claim ?? 'connection';
+    const token = JSON.parse(JSON.stringify(settingsClaim ? claims[settingsClaim] || {} : claims));
+
+    const mapping = { ...DEFAULT_CLAIMS, ...(this.config.jwt_claims || {}) };
+    for (const [setting, claim] of Object.entries(mapping)) {
+      if (claims[claim] !== undefined) {
+        JwtVerifier.setPath(token, setting, claims[claim]);
+      }
+    }
+
+    if (claims.exp !== undefined && token.expiration === undefined) {
+      token.expiration = claims.exp * 1000;
+    }
+
+    const passwordClaim = this.config.jwt_encrypted_password_claim || 'password_enc';
+    if (claims[passwordClaim]) {
+      let secret;
+      try {
+        secret = decryptBlob(claims[passwordClaim]);
+      } catch (error) {
+        throw Utils.createError(error.reason || 'decryption_failed', 'Token validation failed: cannot decrypt password claim');
+      }
+      token.password = typeof secret === 'object' && secret !== null ? secret.password : secret;
+    }
+
+    return token;
+  }
+
+  static setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+
+    for (const key of keys.slice(0, -1)) {
+      if (!node[key] || typeof node[key] !== 'object') {
+        node[key] = {};
+      }
+      node = node[key];
+    }
+
+    node[keys[keys.length - 1]] = value;
+  }
+}
+
+module.exports = JwtVerifier;
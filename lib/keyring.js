@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const Utils = require('./utils');
+
+class Keyring {
+  constructor(config) {
+    this.updateConfig(config);
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.keys = Keyring.parseKeys(config);
+  }
+
+  static parseKeys(config) {
+    const keys = new Map();
+
+    for (const [id, settings] of Object.entries(config.keys || {})) {
+      if (!settings || typeof settings !== 'object') continue;
+
+      keys.set(id, {
+        id,
+        secret: String(settings.secret),
+        expiresAt: settings.expires ? Keyring.parseExpires(settings.expires) : null
+      });
+    }
+
+    // The single legacy secret_key keeps working as the key with id "default".
+    if (config.secret_key && !keys.has('default')) {
+      keys.set('default', { id: 'default', secret: String(config.secret_key), expiresAt: null });
+    }
+
+    return keys;
+  }
+
+  static parseExpires(value) {
+    return typeof value === 'number' ? value : Date.parse(value);
+  }
+
+  hasKeys() {
+    return this.keys.size > 0;
+  }
+
+  isExpired(key, now = Date.now()) {
+    return key.expiresAt !== null && now >= key.expiresAt;
+  }
+
+  getActiveKeys(now = Date.now()) {
+    return Array.from(this.keys.values()).filter(key => !this.isExpired(key, now));
+  }
+
+  describeKeys() {
+    return Array.from(this.keys.values(), key => ({
+      id: key.id,
+      expires: key.expiresAt === null ? null : new Date(key.expiresAt).toISOString(),
+      expired: this.isExpired(key)
+    }));
+  }
+
+  decrypt(token, now = Date.now()) {
+    let envelope;
+    try {
+      envelope = JSON.parse(Buffer.from(String(token), 'base64').toString('utf8'));
+    } catch (error) {
+      throw Utils.createError('decryption_failed', 'Failed to decrypt token: malformed token');
+    }
+
+    let candidates = this.getActiveKeys(now);
+
+    if (envelope.kid !== undefined) {
+      const key = this.keys.get(String(envelope.kid));
+
+      if (!key) {
+        throw Utils.createError('unknown_key', `Failed to decrypt token: unknown key id '${envelope.kid}'`);
+      }
+      if (this.isExpired(key, now)) {
+        throw Utils.createError('key_expired', `Failed to decrypt token: key '${key.id}' has expired`);
+      }
+
+      candidates = [key];
+    }
+
+    for (const key of candidates) {
+      try {
+        return { settings: this.decryptWith(key, envelope), keyId: key.id };
+      } catch (error) {
+        // Wrong key for this token; try the next one.
+      }
+    }
+
+    throw Utils.createError('decryption_failed', 'Failed to decrypt token with any active key');
+  }
+
+  decryptWith(key, envelope) {
+    const decipher = crypto.createDecipheriv(
+      this.config.cypher || 'AES-256-CBC',
+      key.secret,
+      Buffer.from(envelope.iv, 'base64')
+    );
+
+    let decrypted = decipher.update(envelope.value, 'base64', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return JSON.parse(decrypted);
+  }
+
+  encrypt(data, keyId = 'default') {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown key id: ${keyId}`);
+    }
+
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(this.config.cypher || 'AES-256-CBC', key.secret, iv);
+
+    let value = cipher.update(JSON.stringify(data), 'utf8', 'base64');
+    value += cipher.final('base64');
+
+    const envelope = { iv: iv.toString('base64'), value, kid: keyId };
+    return Buffer.from(JSON.stringify(envelope)).toString('base64');
+  }
+}
+
+module.exports = Keyring;
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+
+// Same scale as guacamole-lite's LOGLEVEL so one log_level drives both.
+const LEVELS = {
+  QUIET: 0,
+  ERRORS: 10,
+  NORMAL: 20,
+  VERBOSE: 30,
+  DEBUG: 40
+};
+
+const METHODS = {
+  error: LEVELS.ERRORS,
+  warn: LEVELS.NORMAL,
+  info: LEVELS.NORMAL,
+  verbose: LEVELS.VERBOSE,
+  debug: LEVELS.DEBUG
+};
+
+const CONTEXT_FIELDS = ['sessionId', 'connectionId', 'userId'];
+
+class LogSink {
+  constructor() {
+    this.level = LEVELS.NORMAL;
+    this.format = 'text';
+    this.filePath = null;
+    this.fd = null;
+    this.size = 0;
+    this.maxSize = 10 * 1024 * 1024;
+    this.maxFiles = 5;
+  }
+
+  configure(config = {}) {
+    const level = String(config.log_level || 'NORMAL').toUpperCase();
+    this.level = LEVELS[level] ?? LEVELS.NORMAL;
+    this.format = config.log_format === 'json' ? 'json' : 'text';
+    this.maxSize = config.log_file_max_size || 10 * 1024 * 1024;
+    this.maxFiles = config.log_file_max_files ?? 5;
+
+    if ((config.log_file || null) !== this.filePath) {
+      this.closeFile();
+      this.filePath = config.log_file || null;
+      if (this.filePath) {
+        this.openFile();
+      }
+    }
+  }
+
+  openFile() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  closeFile() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  rotate() {
+    this.closeFile();
+
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const source = `${this.filePath}.${index}`;
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${this.filePath}.${index + 1}`);
+      }
+    }
+
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.unlinkSync(this.filePath);
+    }
+
+    const overflow = `${this.filePath}.${this.maxFiles + 1}`;
+    if (fs.existsSync(overflow)) {
+      fs.unlinkSync(overflow);
+    }
+
+    this.openFile();
+  }
+
+  write(method, line) {
+    if (method === 'error' || method === 'warn') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+
+    if (this.fd === null) return;
+
+    try {
+      const data = line + '\n';
+      if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxSize) {
+        this.rotate();
+      }
+      fs.writeSync(this.fd, data);
+      this.size += Buffer.byteLength(data);
+    } catch (error) {
+      console.error('Failed to write log file:', error.message);
+    }
+  }
+}
+
+class Logger {
+  constructor(context = {}, sink = new LogSink()) {
+    this.context = context;
+    this.sink = sink;
+  }
+
+  configure(config) {
+    this.sink.configure(config);
+    return this;
+  }
+
+  child(context = {}) {
+    return new Logger({ ...this.context, ...context }, this.sink);
+  }
+
+  isLevelEnabled(method) {
+    return METHODS[method] <= this.sink.level;
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  verbose(message, fields) {
+    this.log('verbose', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  log(method, message, fields = {}) {
+    if (!this.isLevelEnabled(method)) return;
+
+    const entry = this.buildEntry(method, message, fields);
+    const line = this.sink.format === 'json'
+      ? JSON.stringify(entry)
+      : this.formatText(entry);
+
+    this.sink.write(method, line);
+  }
+
+  buildEntry(method, message, fields) {
+    const serialized = {};
+
+    for (const [key, value] of Object.entries({ ...this.context, ...fields })) {
+      serialized[key] = value instanceof Error
+        ? { message: value.message, code: value.code, stack: value.stack }
+        : value;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level: method,
+      message
+    };
+
+    for (const field of CONTEXT_FIELDS) {
+      entry[field] = serialized[field] ?? null;
+      delete serialized[field];
+    }
+
+    return { ...entry, ...Utils.sanitizeWebhookPayload(serialized) };
+  }
+
+  formatText(entry) {
+    const { timestamp, level, message, ...rest } = entry;
+    const parts = [timestamp, level.toUpperCase().padEnd(7), message];
+
+    for (const [key, value] of Object.entries(rest)) {
+      if (value === null || value === undefined) continue;
+
+      if (value && typeof value === 'object' && 'stack' in value && value.stack) {
+        parts.push(`${key}=${JSON.stringify(value.message)}`);
+        if (level === 'error' || this.sink.level >= LEVELS.DEBUG) {
+          parts.push(`\n${value.stack}`);
+        }
+      } else {
+        parts.push(`${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+      }
+    }
+
+    return parts.join(' ');
+  }
+}
+
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,179 @@
+const logger = require('./logger');
+
+const DEFAULT_PREFIX = 'guacamole_lite_';
+
+// Labels that can stay empty: the tenant outside multi-tenant mode, the
+// webhook endpoint before any is configured.
+const OPTIONAL_LABELS = ['tenant', 'endpoint'];
+
+class Metrics {
+  constructor(prefix = DEFAULT_PREFIX) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.collectors = [];
+
+    this.registerDefaultMetrics();
+  }
+
+  registerDefaultMetrics() {
+    this.gauge('active_connections', 'Active connections by protocol', ['protocol', 'tenant']);
+    this.counter('sessions_opened_total', 'Total sessions opened', ['protocol', 'tenant']);
+    this.counter('sessions_closed_total', 'Total sessions closed', ['protocol', 'tenant']);
+    this.histogram('session_duration_seconds', 'Session duration in seconds', ['protocol', 'tenant'],
+      [60, 300, 900, 1800, 3600, 7200, 14400, 28800]);
+    this.counter('token_rejections_total', 'Connection tokens rejected by reason', ['reason', 'tenant']);
+    this.histogram('recording_compression_duration_seconds', 'Recording compression duration in seconds', ['format', 'tenant'],
+      [0.1, 0.5, 1, 2.5, 5, 10, 30, 60]);
+    this.histogram('recording_upload_duration_seconds', 'Recording upload duration in seconds', ['tenant'],
+      [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+    this.counter('recording_upload_failures_total', 'Failed recording upload attempts', ['tenant']);
+    this.gauge('webhook_queue_depth', 'Webhook deliveries waiting in the queue', ['tenant', 'endpoint']);
+    this.counter('rate_limit_hits_total', 'Connection attempts refused by rate limits', ['scope']);
+    this.counter('sessions_evicted_total', 'Sessions closed to make room under concurrent session limits', ['scope', 'tenant']);
+    this.gauge('lockouts_active', 'Client IPs currently locked out after repeated token failures', []);
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(name, 'counter', help, labelNames);
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(name, 'gauge', help, labelNames);
+  }
+
+  histogram(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 5, 10]) {
+    return this.register(name, 'histogram', help, labelNames, buckets);
+  }
+
+  register(name, type, help, labelNames, buckets) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, {
+        name: this.prefix + name,
+        type,
+        help,
+        labelNames,
+        buckets: buckets ? [...buckets].sort((a, b) => a - b) : null,
+        values: new Map()
+      });
+    }
+
+    return this.metrics.get(name);
+  }
+
+  getMetric(name) {
+    const metric = this.metrics.get(name);
+
+    if (!metric) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+
+    return metric;
+  }
+
+  labelKey(metric, labels) {
+    return JSON.stringify(metric.labelNames.map(label => String(labels[label] ?? '')));
+  }
+
+  entry(metric, labels) {
+    const key = this.labelKey(metric, labels);
+
+    if (!metric.values.has(key)) {
+      const labelValues = {};
+      for (const label of metric.labelNames) {
+        labelValues[label] = String(labels[label] ?? '');
+      }
+
+      metric.values.set(key, metric.type === 'histogram'
+        ? { labels: labelValues, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels: labelValues, value: 0 });
+    }
+
+    return metric.values.get(key);
+  }
+
+  inc(name, labels = {}, value = 1) {
+    this.entry(this.getMetric(name), labels).value += value;
+  }
+
+  set(name, labels = {}, value = 0) {
+    this.entry(this.getMetric(name), labels).value = value;
+  }
+
+  reset(name) {
+    this.getMetric(name).values.clear();
+  }
+
+  observe(name, labels = {}, value = 0) {
+    const metric = this.getMetric(name);
+    const entry = this.entry(metric, labels);
+
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  startTimer(name, labels = {}) {
+    const start = process.hrtime.bigint();
+
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(name, { ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  addCollector(fn) {
+    this.collectors.push(fn);
+  }
+
+  formatLabels(labels, extra = {}) {
+    // An empty label value is the same as no label, so it is left out.
+    const pairs = Object.entries({ ...labels, ...extra })
+      .filter(([, value]) => value !== '')
+      .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  render() {
+    for (const collect of this.collectors) {
+      try {
+        collect(this);
+      } catch (error) {
+        logger.error('Metrics collector failed', { error });
+      }
+    }
+
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      if (metric.values.size === 0 && metric.labelNames.every(label => OPTIONAL_LABELS.includes(label))) {
+        this.entry(metric, {});
+      }
+
+      for (const entry of metric.values.values()) {
+        if (metric.type === 'histogram') {
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${this.formatLabels(entry.labels, { le: bound })} ${entry.counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${this.formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`);
+          lines.push(`${metric.name}_sum${this.formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${metric.name}_count${this.formatLabels(entry.labels)} ${entry.count}`);
+        } else {
+          lines.push(`${metric.name}${this.formatLabels(entry.labels)} ${entry.value}`);
+        }
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,95 @@
+class RateLimiter {
+  constructor(config) {
+    this.config = config;
+    this.buckets = { ip: new Map(), user: new Map() };
+    this.failures = new Map();
+    this.lockouts = new Map();
+  }
+
+  updateConfig(config) {
+    this.config = config;
+  }
+
+  isEnabled() {
+    return this.config.rate_limit_enable === true;
+  }
+
+  getLimits(scope) {
+    return scope === 'user'
+      ? { burst: this.config.rate_limit_user_burst || 10, perMinute: this.config.rate_limit_user_per_minute || 30 }
+      : { burst: this.config.rate_limit_ip_burst || 20, perMinute: this.config.rate_limit_ip_per_minute || 60 };
+  }
+
+  consume(scope, key, now = Date.now()) {
+    if (!key) return true;
+
+    const { burst, perMinute } = this.getLimits(scope);
+    const buckets = this.buckets[scope];
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    this.touch(buckets, key, bucket);
+    return allowed;
+  }
+
+  recordFailure(ip, now = Date.now()) {
+    if (!ip) return null;
+
+    const threshold = this.config.lockout_threshold || 5;
+    const window = this.config.lockout_window || 60000;
+    const recent = (this.failures.get(ip) || []).filter(time => now - time < window);
+
+    recent.push(now);
+
+    if (recent.length >= threshold) {
+      this.failures.delete(ip);
+      const until = now + (this.config.lockout_duration || 300000);
+      this.touch(this.lockouts, ip, until);
+      return { failures: recent.length, until };
+    }
+
+    this.touch(this.failures, ip, recent);
+    return null;
+  }
+
+  getLockout(ip, now = Date.now()) {
+    const until = this.lockouts.get(ip);
+
+    if (until === undefined) return null;
+    if (until <= now) {
+      this.lockouts.delete(ip);
+      return null;
+    }
+
+    return until;
+  }
+
+  getActiveLockouts(now = Date.now()) {
+    let count = 0;
+    for (const until of this.lockouts.values()) {
+      if (until > now) count++;
+    }
+    return count;
+  }
+
+  touch(map, key, value) {
+    const maxEntries = this.config.rate_limit_max_entries || 100000;
+
+    // Re-inserting keeps the Map in least-recently-used order for eviction.
+    map.delete(key);
+    map.set(key, value);
+
+    while (map.size > maxEntries) {
+      map.delete(map.keys().next().value);
+    }
+  }
+}
+
+module.exports = RateLimiter;
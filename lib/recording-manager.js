@@ -3,16 +3,24 @@ const path = require('path');
 const archiver = require('archiver');
 const zlib = require('zlib');
 const Utils = require('./utils');
+const logger = require('./logger');
 const { promisify } = require('util');
 
 class RecordingManager {
-  constructor(config, s3Uploader) {
+  constructor(config, s3Uploader, metrics = null, auditLog = null, tenant = null) {
     this.config = config;
     this.s3Uploader = s3Uploader;
+    this.metrics = metrics;
+    this.auditLog = auditLog;
+    this.tenant = tenant;
     this.uploadQueue = [];
     this.processing = false;
   }
 
+  updateConfig(config) {
+    this.config = config;
+  }
+
   async handleRecordingStart(connection, sessionId) {
     try {
       const filename = this.generateRecordingFilename(connection, sessionId);
@@ -25,14 +33,14 @@ class RecordingManager {
         filename: filename
       };
     } catch (error) {
-      console.error('Failed to start recording:', error);
+      logger.child(Utils.getLogContext(connection, sessionId)).error('Failed to start recording', { error });
       return null;
     }
   }
 
   async handleRecordingEnd(recordingPath, connection, sessionId) {
     if (!recordingPath || !fs.existsSync(recordingPath)) {
-      console.warn('Recording file not found:', recordingPath);
+      logger.child(Utils.getLogContext(connection, sessionId)).warn('Recording file not found', { path: recordingPath });
       return null;
     }
 
@@ -45,7 +53,7 @@ class RecordingManager {
       
       return compressedPath;
     } catch (error) {
-      console.error('Failed to process recording:', error);
+      logger.child(Utils.getLogContext(connection, sessionId)).error('Failed to process recording', { error });
       return null;
     }
   }
@@ -60,6 +68,11 @@ class RecordingManager {
       ...connection.token?.meta
     };
     
+    // Set after the metadata so a token cannot write into another tenant's path.
+    if (connection.token?.tenant) {
+      data.tenant = connection.token.tenant;
+    }
+    
     const filename = Utils.generateFilename(template, data);
     const extension = Utils.getFileExtensionForCompression(this.config.recordings_compression_format);
     
@@ -74,6 +87,9 @@ class RecordingManager {
     }
     
     const outputPath = inputPath + Utils.getFileExtensionForCompression(format);
+    const endTimer = this.metrics
+      ? this.metrics.startTimer('recording_compression_duration_seconds', { format, tenant: this.tenant })
+      : null;
     
     try {
       if (format === 'gzip') {
@@ -82,12 +98,14 @@ class RecordingManager {
         await this.compressWithZip(inputPath, outputPath);
       }
       
+      if (endTimer) endTimer();
+      
       if (fs.existsSync(outputPath)) {
         await promisify(fs.unlink)(inputPath);
         return outputPath;
       }
     } catch (error) {
-      console.error('Compression failed:', error);
+      logger.error('Compression failed', { path: inputPath, format, error });
     }
     
     return inputPath;
@@ -143,18 +161,27 @@ class RecordingManager {
     
     while (this.uploadQueue.length > 0) {
       const upload = this.uploadQueue.shift();
+      const endTimer = this.metrics
+        ? this.metrics.startTimer('recording_upload_duration_seconds', { tenant: this.tenant })
+        : null;
       
       try {
         await this.uploadRecording(upload);
+        if (endTimer) endTimer();
       } catch (error) {
-        console.error('Upload failed:', error);
+        const log = logger.child(Utils.getLogContext(upload.connection, upload.sessionId));
+        log.error('Upload failed', { path: upload.filePath, attempt: upload.attempts + 1, error });
+        
+        if (this.metrics) {
+          this.metrics.inc('recording_upload_failures_total', { tenant: this.tenant });
+        }
         
         upload.attempts++;
         if (upload.attempts < upload.maxAttempts) {
           this.uploadQueue.push(upload);
           await new Promise(resolve => setTimeout(resolve, 5000 * upload.attempts));
         } else {
-          console.error('Max upload attempts reached for:', upload.filePath);
+          log.error('Max upload attempts reached', { path: upload.filePath });
         }
       }
     }
@@ -169,11 +196,20 @@ class RecordingManager {
     
     const s3Key = await this.s3Uploader.upload(upload.filePath, upload.connection);
     
+    if (this.auditLog) {
+      this.auditLog.record('recording_uploaded', {
+        ...Utils.getLogContext(upload.connection, upload.sessionId),
+        path: upload.filePath,
+        bucket: this.s3Uploader.getBucket(upload.connection),
+        key: s3Key
+      });
+    }
+    
     if (this.config.recordings_delete_local_after_upload) {
       try {
         await promisify(fs.unlink)(upload.filePath);
       } catch (error) {
-        console.warn('Failed to delete local recording file:', error);
+        logger.warn('Failed to delete local recording file', { path: upload.filePath, error });
       }
     }
     
@@ -181,7 +217,7 @@ class RecordingManager {
   }
 
   async cleanup() {
-    while (this.uploadQueue.length > 0 && this.processing) {
+    while (this.uploadQueue.length > 0 || this.processing) {
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
   }
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+class MemoryReplayStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  has(id, now = Date.now()) {
+    const expiresAt = this.entries.get(id);
+
+    if (expiresAt === undefined) return false;
+    if (expiresAt <= now) {
+      this.entries.delete(id);
+      return false;
+    }
+
+    return true;
+  }
+
+  add(id, expiresAt) {
+    this.entries.delete(id);
+    this.entries.set(id, expiresAt);
+  }
+
+  // Only expired entries make room: dropping a live one would let its token
+  // be used again.
+  hasRoom(now = Date.now()) {
+    if (this.entries.size < this.maxEntries) return true;
+
+    this.prune(now);
+    return this.entries.size < this.maxEntries;
+  }
+
+  prune(now = Date.now()) {
+    for (const [id, expiresAt] of this.entries) {
+      if (expiresAt <= now) {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+class FileReplayStore extends MemoryReplayStore {
+  constructor(maxEntries, filePath) {
+    super(maxEntries);
+    this.filePath = filePath;
+    this.appended = 0;
+
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) return;
+
+    const now = Date.now();
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const { id, expiresAt } = JSON.parse(line);
+        if (expiresAt > now) {
+          super.add(id, expiresAt);
+        }
+      } catch (error) {
+        // A torn final line from a crash is skipped; everything before it is intact.
+      }
+    }
+
+    this.compact();
+  }
+
+  add(id, expiresAt) {
+    super.add(id, expiresAt);
+
+    fs.appendFileSync(this.filePath, JSON.stringify({ id, expiresAt }) + '\n');
+    this.appended++;
+
+    if (this.appended > this.maxEntries) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    this.prune();
+
+    const lines = Array.from(this.entries, ([id, expiresAt]) => JSON.stringify({ id, expiresAt }) + '\n');
+    const tempPath = `${this.filePath}.tmp`;
+
+    fs.writeFileSync(tempPath, lines.join(''));
+    fs.renameSync(tempPath, this.filePath);
+    this.appended = 0;
+  }
+}
+
+class ReplayCache {
+  constructor(config) {
+    this.config = config;
+    this.store = this.createStore();
+  }
+
+  createStore() {
+    const maxEntries = this.config.token_replay_max_entries || 100000;
+
+    if (this.config.token_replay_store === 'file') {
+      const filePath = this.config.token_replay_store_path || '/data/replay/replay-cache.jsonl';
+      return new FileReplayStore(maxEntries, filePath);
+    }
+
+    return new MemoryReplayStore(maxEntries);
+  }
+
+  updateConfig(config) {
+    // The store itself is kept so already-used tokens stay rejected.
+    this.config = config;
+  }
+
+  isEnabled() {
+    return this.config.token_replay_protection === true;
+  }
+
+  getTokenId(token) {
+    const id = token?.nonce ?? token?.jti;
+    return id === undefined || id === null || id === '' ? null : String(id);
+  }
+
+  consume(token, now = Date.now()) {
+    const id = this.getTokenId(token);
+
+    if (!id) {
+      return { accepted: !this.config.token_replay_require_nonce, reason: 'nonce_missing' };
+    }
+
+    if (this.store.has(id, now)) {
+      return { accepted: false, reason: 'replayed' };
+    }
+
+    // Fails closed: a token that can't be remembered can't be accepted once.
+    if (!this.store.hasRoom(now)) {
+      return { accepted: false, reason: 'replay_cache_full' };
+    }
+
+    const ttl = this.config.token_replay_ttl || 3600000;
+    const expiration = parseInt(token.expiration, 10) || 0;
+
+    this.store.add(id, Math.max(expiration, now + ttl));
+
+    return { accepted: true };
+  }
+}
+
+module.exports = ReplayCache;
+module.exports.MemoryReplayStore = MemoryReplayStore;
+module.exports.FileReplayStore = FileReplayStore;
@@ -0,0 +1,60 @@
+const Utils = require('./utils');
+
+class RolePolicy {
+  constructor(config) {
+    this.config = config;
+  }
+
+  updateConfig(config) {
+    this.config = config;
+  }
+
+  isEnabled() {
+    return Object.keys(this.config.roles || {}).length > 0
+      || Object.keys(this.config.restricted_params || {}).length > 0;
+  }
+
+  static validate(config) {
+    for (const [role, params] of Object.entries(config.roles || {})) {
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new Error(`Role '${role}' must be a section of parameters`);
+      }
+    }
+
+    if (config.restricted_params !== undefined && (typeof config.restricted_params !== 'object' || Array.isArray(config.restricted_params))) {
+      throw new Error('restricted_params must be a section');
+    }
+  }
+
+  static getRoles(token) {
+    return Utils.parseList(token?.meta?.roles);
+  }
+
+  apply(settings, token) {
+    const roles = RolePolicy.getRoles(token);
+    const applied = [];
+
+    // Sections are applied in config order, so a later role wins a conflict.
+    for (const [role, params] of Object.entries(this.config.roles || {})) {
+      if (roles.includes(role)) {
+        Object.assign(settings, params);
+        applied.push(role);
+      }
+    }
+
+    const removed = [];
+    for (const [param, allowedRoles] of Object.entries(this.config.restricted_params || {})) {
+      const allowed = Utils.parseList(allowedRoles);
+      const enabled = param in settings && settings[param] !== false && settings[param] !== 'false';
+
+      if (enabled && !roles.some(role => allowed.includes(role))) {
+        delete settings[param];
+        removed.push(param);
+      }
+    }
+
+    return { roles: applied, removed };
+  }
+}
+
+module.exports = RolePolicy;
@@ -2,6 +2,7 @@ const AWS = require('aws-sdk');
 const fs = require('fs');
 const path = require('path');
 const Utils = require('./utils');
+const logger = require('./logger');
 
 class S3Uploader {
   constructor(config) {
@@ -14,7 +15,7 @@ class S3Uploader {
 
   initialize() {
     if (!this.config.s3_access_key_id || !this.config.s3_secret_access_key) {
-      console.warn('S3 credentials not provided, S3 upload disabled');
+      logger.warn('S3 credentials not provided, S3 upload disabled');
       return;
     }
 
@@ -33,6 +34,14 @@ class S3Uploader {
     this.initialized = true;
   }
 
+  updateConfig(config) {
+    this.config = config;
+    this.s3 = null;
+    this.initialized = false;
+    
+    this.initialize();
+  }
+
   isAvailable() {
     return this.initialized && this.s3;
   }
@@ -57,10 +66,10 @@ class S3Uploader {
 
     try {
       await retryUpload(bucket, key, filePath);
-      console.log(`Successfully uploaded to S3: s3://${bucket}/${key}`);
+      logger.child(Utils.getLogContext(connection)).info('Uploaded recording to S3', { location: `s3://${bucket}/${key}` });
       return key;
     } catch (error) {
-      console.error('S3 upload failed after retries:', error);
+      logger.child(Utils.getLogContext(connection)).error('S3 upload failed after retries', { location: `s3://${bucket}/${key}`, error });
       throw error;
     }
   }
@@ -127,7 +136,7 @@ class S3Uploader {
       upload.on('httpUploadProgress', (progress) => {
         const percent = Math.round((progress.loaded / progress.total) * 100);
         if (percent % 10 === 0) {
-          console.log(`Upload progress: ${percent}%`);
+          logger.verbose('S3 upload progress', { key: uploadParams.Key, percent });
         }
       });
 
@@ -165,14 +174,14 @@ class S3Uploader {
       if (error.statusCode === 404) {
         try {
           await this.s3.createBucket({ Bucket: bucketName }).promise();
-          console.log(`Created S3 bucket: ${bucketName}`);
+          logger.info('Created S3 bucket', { bucket: bucketName });
           return true;
         } catch (createError) {
-          console.error('Failed to create S3 bucket:', createError);
+          logger.error('Failed to create S3 bucket', { bucket: bucketName, error: createError });
           return false;
         }
       } else {
-        console.error('Error checking S3 bucket:', error);
+        logger.error('Error checking S3 bucket', { bucket: bucketName, error });
         return false;
       }
     }
@@ -187,7 +196,7 @@ class S3Uploader {
       await this.s3.listBuckets().promise();
       return true;
     } catch (error) {
-      console.error('S3 connection test failed:', error);
+      logger.error('S3 connection test failed', { error });
       return false;
     }
   }
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const Utils = require('./utils');
+
+const SECRET_PREFIX = 'secret://';
+
+class EncryptedFileProvider {
+  constructor(config) {
+    this.config = config;
+    this.secrets = null;
+  }
+
+  static encrypt(secrets, key, cypher = 'AES-256-CBC') {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(cypher, key, iv);
+
+    let value = cipher.update(JSON.stringify(secrets), 'utf8', 'base64');
+    value += cipher.final('base64');
+
+    return Buffer.from(JSON.stringify({ iv: iv.toString('base64'), value })).toString('base64');
+  }
+
+  static decrypt(data, key, cypher = 'AES-256-CBC') {
+    const envelope = JSON.parse(Buffer.from(data.trim(), 'base64').toString('utf8'));
+    const decipher = crypto.createDecipheriv(cypher, key, Buffer.from(envelope.iv, 'base64'));
+
+    let decrypted = decipher.update(envelope.value, 'base64', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return JSON.parse(decrypted);
+  }
+
+  load() {
+    const filePath = this.config.secrets_file_path;
+    if (!filePath || !this.config.secrets_file_key) {
+      throw new Error('secrets_file_path and secrets_file_key are required for the file secrets provider');
+    }
+
+    try {
+      this.secrets = EncryptedFileProvider.decrypt(
+        fs.readFileSync(filePath, 'utf8'),
+        this.config.secrets_file_key,
+        this.config.cypher || 'AES-256-CBC'
+      );
+    } catch (error) {
+      // The message may come from the cipher; don't let it hint at the content.
+      throw new Error(`Cannot read secrets file ${filePath}: ${error.syscall ? error.code : 'decryption failed'}`);
+    }
+  }
+
+  async get(secretPath) {
+    if (!this.secrets) {
+      this.load();
+    }
+    return this.secrets[secretPath];
+  }
+}
+
+class DirectoryProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async get(secretPath) {
+    const directory = path.resolve(this.config.secrets_dir || '/run/secrets');
+    const filePath = path.resolve(directory, secretPath);
+
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Secret path escapes the secrets directory: ${secretPath}`);
+    }
+
+    try {
+      // Secret files are usually written with a trailing newline.
+      return (await fs.promises.readFile(filePath, 'utf8')).replace(/\r?\n$/, '');
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw new Error(`Cannot read secret file for ${secretPath}: ${error.code}`);
+    }
+  }
+}
+
+class VaultProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  getUrl(secretPath) {
+    const base = String(this.config.secrets_vault_url || '').replace(/\/+$/, '');
+    const mount = this.config.secrets_vault_mount || 'secret';
+    const encoded = secretPath.split('/').map(encodeURIComponent).join('/');
+
+    return String(this.config.secrets_vault_kv_version) === '1'
+      ? `${base}/v1/${mount}/${encoded}`
+      : `${base}/v1/${mount}/data/${encoded}`;
+  }
+
+  async get(secretPath) {
+    if (!this.config.secrets_vault_url) {
+      throw new Error('secrets_vault_url is required for the vault secrets provider');
+    }
+
+    const headers = { 'X-Vault-Token': this.config.secrets_vault_token || '' };
+    if (this.config.secrets_vault_namespace) {
+      headers['X-Vault-Namespace'] = this.config.secrets_vault_namespace;
+    }
+
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url: this.getUrl(secretPath),
+        headers,
+        timeout: this.config.secrets_timeout || 5000,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw new Error(`Vault request for ${secretPath} failed: ${error.code || error.message}`);
+    }
+
+    if (response.status === 404) return undefined;
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Vault returned HTTP ${response.status} for ${secretPath}`);
+    }
+
+    const data = response.data?.data;
+    return String(this.config.secrets_vault_kv_version) === '1' ? data : data?.data;
+  }
+}
+
+class SecretsManager {
+  constructor(config) {
+    this.config = config;
+    this.cache = new Map();
+    this.provider = this.createProvider();
+  }
+
+  static registerProvider(name, Provider) {
+    SecretsManager.providers[name] = Provider;
+  }
+
+  createProvider() {
+    const name = this.config.secrets_provider;
+    if (!name || name === 'none') return null;
+
+    const Provider = SecretsManager.providers[name];
+    if (!Provider) {
+      throw new Error(`Unknown secrets provider: ${name}`);
+    }
+    return new Provider(this.config);
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.cache.clear();
+    this.provider = this.createProvider();
+  }
+
+  isEnabled() {
+    return this.provider !== null;
+  }
+
+  static isReference(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+  }
+
+  static parseReference(reference) {
+    const [secretPath, field = null] = reference.substring(SECRET_PREFIX.length).split('#');
+    return { path: secretPath, field };
+  }
+
+  async get(reference, now = Date.now()) {
+    const cached = this.cache.get(reference);
+    if (cached && cached.expiresAt > now) {
+      return cached.value;
+    }
+
+    if (!this.provider) {
+      throw this.error(`No secrets provider is configured to resolve ${reference}`);
+    }
+
+    const { path: secretPath, field } = SecretsManager.parseReference(reference);
+    const providerPath = this.getProviderPath(reference, secretPath);
+    let value;
+    try {
+      value = await this.provider.get(providerPath);
+    } catch (error) {
+      throw this.error(`Cannot resolve ${reference}: ${error.message}`);
+    }
+
+    if (value && typeof value === 'object') {
+      value = value[field || this.config.secrets_default_field || 'value'];
+    } else if (field) {
+      value = undefined;
+    }
+
+    if (value === undefined || value === null) {
+      throw this.error(`Secret ${reference} not found`);
+    }
+
+    const ttl = this.config.secrets_cache_ttl ?? 60000;
+    if (ttl > 0) {
+      this.cache.set(reference, { value: String(value), expiresAt: now + ttl });
+    }
+
+    return String(value);
+  }
+
+  // With secrets_path_prefix (each tenant has one) references resolve below
+  // the prefix and can't climb out of it.
+  getProviderPath(reference, secretPath) {
+    const prefix = String(this.config.secrets_path_prefix || '').replace(/^\/+|\/+$/g, '');
+    if (!prefix) return secretPath;
+
+    if (secretPath.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+      throw this.error(`Secret ${reference} is outside the secrets namespace`);
+    }
+    return `${prefix}/${secretPath}`;
+  }
+
+  // Replaces secret references in place and returns the names of the
+  // parameters that now hold secret values, so callers can redact them.
+  async resolve(settings) {
+    const resolved = [];
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (SecretsManager.isReference(value)) {
+        settings[key] = await this.get(value);
+        resolved.push(key);
+      }
+    }
+
+    return resolved;
+  }
+
+  error(message) {
+    return Utils.createError('secret_unavailable', message);
+  }
+}
+
+SecretsManager.providers = {
+  file: EncryptedFileProvider,
+  directory: DirectoryProvider,
+  vault: VaultProvider
+};
+
+module.exports = SecretsManager;
+module.exports.EncryptedFileProvider = EncryptedFileProvider;
+module.exports.DirectoryProvider = DirectoryProvider;
+module.exports.VaultProvider = VaultProvider;
@@ -0,0 +1,96 @@
+class SessionLimiter {
+  constructor(config) {
+    this.config = config;
+  }
+
+  updateConfig(config) {
+    this.config = config;
+  }
+
+  isEnabled() {
+    return this.config.max_sessions_total > 0
+      || this.config.max_sessions_per_user > 0
+      || this.config.max_sessions_per_target > 0
+      || Object.keys(this.config.target_session_limits || {}).length > 0;
+  }
+
+  getPolicy() {
+    return this.config.session_limit_policy === 'evict_oldest' ? 'evict_oldest' : 'reject';
+  }
+
+  static getTarget(token) {
+    return token?.hostname ? String(token.hostname).toLowerCase() : null;
+  }
+
+  getTargetLimit(target) {
+    const overrides = this.config.target_session_limits || {};
+
+    for (const [host, limit] of Object.entries(overrides)) {
+      if (host.toLowerCase() === target) {
+        return parseInt(limit, 10) || 0;
+      }
+    }
+
+    return this.config.max_sessions_per_target || 0;
+  }
+
+  getLimits(token) {
+    const userId = token.meta?.userId;
+    const target = SessionLimiter.getTarget(token);
+    const limits = [];
+
+    if (userId && this.config.max_sessions_per_user > 0) {
+      limits.push({ scope: 'user', key: String(userId), limit: this.config.max_sessions_per_user });
+    }
+
+    if (target) {
+      const limit = this.getTargetLimit(target);
+      if (limit > 0) {
+        limits.push({ scope: 'target', key: target, limit });
+      }
+    }
+
+    if (this.config.max_sessions_total > 0) {
+      limits.push({ scope: 'total', key: null, limit: this.config.max_sessions_total });
+    }
+
+    return limits;
+  }
+
+  static getStartTime(connection) {
+    // Connections still in the handshake count as the newest.
+    return connection.startedAt ? new Date(connection.startedAt).getTime() : Number.MAX_SAFE_INTEGER;
+  }
+
+  matches(scope, key, connection) {
+    if (scope === 'user') return String(connection.token?.meta?.userId) === key;
+    if (scope === 'target') return SessionLimiter.getTarget(connection.token) === key;
+    return true;
+  }
+
+  findViolations(token, connections) {
+    const active = connections.filter(connection => connection.token && !connection.evicted);
+
+    return this.getLimits(token)
+      .map(limit => ({ ...limit, sessions: active.filter(connection => this.matches(limit.scope, limit.key, connection)) }))
+      .filter(violation => violation.sessions.length >= violation.limit);
+  }
+
+  selectEvictions(violations) {
+    const evictions = new Set();
+
+    for (const violation of violations) {
+      const remaining = violation.sessions
+        .filter(connection => !evictions.has(connection))
+        .sort((a, b) => SessionLimiter.getStartTime(a) - SessionLimiter.getStartTime(b));
+      const alreadyEvicted = violation.sessions.length - remaining.length;
+      const needed = violation.sessions.length - violation.limit + 1 - alreadyEvicted;
+
+      remaining.slice(0, Math.max(needed, 0)).forEach(connection => evictions.add(connection));
+    }
+
+    return Array.from(evictions);
+  }
+}
+
+module.exports = SessionLimiter;
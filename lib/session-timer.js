@@ -0,0 +1,69 @@
+// setTimeout fires at once for delays it can't hold, so longer ones are
+// reached in steps of at most this.
+const MAX_DELAY = 2147483647;
+
+class SessionTimer {
+  constructor() {
+    this.timers = new Map();
+  }
+
+  static getMaxDuration(config, token) {
+    const limits = [config.max_session_duration, token?.maxSessionDuration]
+      .map(value => parseInt(value, 10))
+      .filter(value => value > 0);
+
+    // A token may only shorten the configured limit, never extend it.
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  schedule(id, duration, warningBefore, { onWarning, onExpire }) {
+    this.clear(id);
+
+    const expiresAt = Date.now() + duration;
+    const entry = { expiresAt, warning: null, expire: null };
+
+    if (warningBefore > 0 && duration > warningBefore) {
+      this.arm(entry, 'warning', expiresAt - warningBefore, () => onWarning(expiresAt));
+    }
+
+    this.arm(entry, 'expire', expiresAt, () => {
+      this.timers.delete(id);
+      onExpire(expiresAt);
+    });
+
+    this.timers.set(id, entry);
+    return expiresAt;
+  }
+
+  arm(entry, name, at, callback) {
+    entry[name] = setTimeout(() => {
+      if (Date.now() < at) {
+        this.arm(entry, name, at, callback);
+      } else {
+        callback();
+      }
+    }, Math.min(Math.max(at - Date.now(), 0), MAX_DELAY));
+    entry[name].unref();
+  }
+
+  getExpiresAt(id) {
+    return this.timers.get(id)?.expiresAt ?? null;
+  }
+
+  clear(id) {
+    const entry = this.timers.get(id);
+    if (!entry) return;
+
+    clearTimeout(entry.warning);
+    clearTimeout(entry.expire);
+    this.timers.delete(id);
+  }
+
+  clearAll() {
+    for (const id of Array.from(this.timers.keys())) {
+      this.clear(id);
+    }
+  }
+}
+
+module.exports = SessionTimer;
@@ -0,0 +1,214 @@
+const Utils = require('./utils');
+
+// Keys that select the tenant rather than configure it.
+const SELECTOR_KEYS = ['token_prefix', 'path_prefix', 'hosts'];
+
+const TOKEN_PREFIX_SEPARATOR = ':';
+
+// Token keys and format are never inherited: a tenant taking the global key
+// would accept tokens made for the global configuration.
+const KEY_SETTINGS = ['secret_key', 'keys', 'token_format', 'jwt_secret', 'jwt_public_key_path', 'jwt_jwks_path'];
+
+// Profiles name the operator's own targets, often with credentials, so a
+// tenant only gets the profiles it defines.
+const PRIVATE_SECTIONS = ['profiles'];
+
+class TenantManager {
+  constructor(config) {
+    this.config = config;
+    this.cache = new Map();
+  }
+
+  updateConfig(config) {
+    this.config = config;
+    this.cache.clear();
+  }
+
+  isEnabled() {
+    return Object.keys(this.config.tenants || {}).length > 0;
+  }
+
+  getTenantIds() {
+    return Object.keys(this.config.tenants || {});
+  }
+
+  static merge(base, overrides) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(overrides)) {
+      const isSection = value && typeof value === 'object' && !Array.isArray(value);
+      merged[key] = isSection && merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key])
+        ? TenantManager.merge(merged[key], value)
+        : value;
+    }
+
+    return merged;
+  }
+
+  static validate(config) {
+    const seen = { token_prefix: new Map(), path_prefix: new Map(), hosts: new Map() };
+    const keyOwners = new Map(TenantManager.getKeys(config).map(key => [key, 'the global configuration']));
+    const namespaces = new Map();
+
+    for (const [id, settings] of Object.entries(config.tenants || {})) {
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`Tenant '${id}' must be a section`);
+      }
+
+      if (settings.tenants) {
+        throw new Error(`Tenant '${id}' cannot define tenants`);
+      }
+
+      const selectors = {
+        token_prefix: Utils.parseList(settings.token_prefix),
+        path_prefix: Utils.parseList(settings.path_prefix).map(TenantManager.normalizePath),
+        hosts: Utils.parseList(settings.hosts).map(host => host.toLowerCase())
+      };
+
+      for (const [key, values] of Object.entries(selectors)) {
+        for (const value of values) {
+          if (key === 'token_prefix' && value.includes(TOKEN_PREFIX_SEPARATOR)) {
+            throw new Error(`Tenant '${id}' token_prefix cannot contain '${TOKEN_PREFIX_SEPARATOR}'`);
+          }
+
+          if (seen[key].has(value)) {
+            throw new Error(`Tenants '${seen[key].get(value)}' and '${id}' share ${key} ${value}`);
+          }
+          seen[key].set(value, id);
+        }
+      }
+
+      const keys = TenantManager.getKeys(settings);
+      if (keys.length === 0) {
+        throw new Error(`Tenant '${id}' needs its own secret_key, [keys.*] or JWT key`);
+      }
+
+      for (const key of keys) {
+        if (keyOwners.has(key)) {
+          throw new Error(`Tenant '${id}' uses the same token key as ${keyOwners.get(key)}`);
+        }
+        keyOwners.set(key, `tenant '${id}'`);
+      }
+
+      const namespace = TenantManager.getSecretsPrefix(id, settings);
+      for (const [other, otherNamespace] of namespaces) {
+        if (namespace === otherNamespace || namespace.startsWith(`${otherNamespace}/`) || otherNamespace.startsWith(`${namespace}/`)) {
+          throw new Error(`Tenants '${other}' and '${id}' share the secrets namespace ${otherNamespace}`);
+        }
+      }
+      namespaces.set(id, namespace);
+    }
+  }
+
+  // Secret references of a tenant resolve below this path; the global
+  // secrets_path_prefix is not inherited.
+  static getSecretsPrefix(id, settings) {
+    return String(settings.secrets_path_prefix || id).replace(/^\/+|\/+$/g, '');
+  }
+
+  // The key material a configuration opens tokens with.
+  static getKeys(settings) {
+    const keys = settings.token_format === 'jwt'
+      ? [settings.jwt_secret, settings.jwt_public_key_path, settings.jwt_jwks_path]
+      : [settings.secret_key];
+
+    for (const key of Object.values(settings.keys || {})) {
+      keys.push(key?.secret);
+    }
+
+    return [...new Set(keys.filter(key => key !== undefined && key !== null && key !== '').map(String))];
+  }
+
+  static normalizePath(value) {
+    return '/' + String(value).replace(/^\/+|\/+$/g, '');
+  }
+
+  getConfig(id) {
+    const settings = this.config.tenants?.[id];
+    if (!settings) return null;
+
+    if (!this.cache.has(id)) {
+      const { tenants, ...base } = this.config;
+      const overrides = {};
+
+      for (const key of [...KEY_SETTINGS, ...PRIVATE_SECTIONS]) {
+        delete base[key];
+      }
+
+      for (const [key, value] of Object.entries(settings)) {
+        if (!SELECTOR_KEYS.includes(key)) {
+          overrides[key] = value;
+        }
+      }
+      overrides.secrets_path_prefix = TenantManager.getSecretsPrefix(id, settings);
+
+      this.cache.set(id, TenantManager.merge(base, overrides));
+    }
+    return this.cache.get(id);
+  }
+
+  findBy(key, matches) {
+    return this.getTenantIds().find(id => Utils.parseList(this.config.tenants[id][key]).some(matches)) || null;
+  }
+
+  // Returns the tenant for a connection attempt and the token with any tenant
+  // prefix removed. Every selector that matches must agree on the tenant.
+  select(token, request) {
+    if (!this.isEnabled()) {
+      return { tenantId: null, token };
+    }
+
+    const candidates = new Set();
+    let rawToken = token;
+
+    const separator = typeof token === 'string' ? token.indexOf(TOKEN_PREFIX_SEPARATOR) : -1;
+    if (separator > 0) {
+      const prefix = token.substring(0, separator);
+      const tenantId = this.findBy('token_prefix', value => value === prefix);
+
+      if (!tenantId) {
+        throw Utils.createError('tenant_unknown', `Unknown tenant token prefix '${prefix}'`);
+      }
+      candidates.add(tenantId);
+      rawToken = token.substring(separator + 1);
+    }
+
+    const pathname = TenantManager.getPathname(request);
+    if (pathname) {
+      const tenantId = this.findBy('path_prefix', value => {
+        const prefix = TenantManager.normalizePath(value);
+        return pathname === prefix || pathname.startsWith(`${prefix}/`);
+      });
+      if (tenantId) candidates.add(tenantId);
+    }
+
+    const host = String(request?.headers?.host || '').replace(/:\d+$/, '').toLowerCase();
+    if (host) {
+      const tenantId = this.findBy('hosts', value => value.toLowerCase() === host);
+      if (tenantId) candidates.add(tenantId);
+    }
+
+    if (candidates.size > 1) {
+      throw Utils.createError('tenant_mismatch', `Connection matches several tenants: ${Array.from(candidates).join(', ')}`);
+    }
+
+    const [tenantId = null] = candidates;
+    if (!tenantId && this.config.tenant_required) {
+      throw Utils.createError('tenant_unknown', 'Connection does not match any tenant');
+    }
+
+    return { tenantId, token: rawToken };
+  }
+
+  static getPathname(request) {
+    if (!request?.url) return null;
+
+    try {
+      return new URL(request.url, 'http://localhost').pathname;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TenantManager;
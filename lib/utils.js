@@ -1,3 +1,4 @@
+const net = require('net');
 const path = require('path');
 const crypto = require('crypto');
 const mkdirp = require('mkdirp');
@@ -120,19 +121,134 @@ class Utils {
     return connectionId;
   }
 
-  static createConnectionSettings(token, config) {
-    const settings = { ...token };
+  static getLogContext(connection, sessionId) {
+    const context = {
+      sessionId: sessionId || connection?.sessionId || null,
+      connectionId: connection?.connectionId ?? null,
+      userId: connection?.token?.meta?.userId || null
+    };
+    
+    if (connection?.token?.tenant) {
+      context.tenant = connection.token.tenant;
+    }
+    
+    return context;
+  }
+
+  // The reason is what logs, metrics, audit entries and webhooks report.
+  static createError(reason, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+  }
+
+  static parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(item => item.length > 0);
+  }
+
+  static normalizeIp(ip) {
+    if (!ip) return null;
     
-    if (config.defaults) {
-      if (config.defaults.all) {
-        Object.assign(settings, config.defaults.all);
+    const trimmed = String(ip).trim();
+    return trimmed.startsWith('::ffff:') && net.isIPv4(trimmed.substring(7))
+      ? trimmed.substring(7)
+      : trimmed;
+  }
+
+  static createBlockList(entries) {
+    const list = Utils.parseList(entries);
+    if (list.length === 0) return null;
+    
+    const blockList = new net.BlockList();
+    
+    for (const entry of list) {
+      const [address, prefix] = entry.split('/');
+      const family = net.isIP(address);
+      
+      if (!family) {
+        throw new Error(`Invalid IP address or CIDR: ${entry}`);
       }
       
-      if (settings.protocol && config.defaults[settings.protocol]) {
-        Object.assign(settings, config.defaults[settings.protocol]);
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      
+      if (prefix === undefined) {
+        blockList.addAddress(address, type);
+      } else {
+        const bits = Number(prefix);
+        if (!/^\d+$/.test(prefix) || bits > (family === 6 ? 128 : 32)) {
+          throw new Error(`Invalid IP address or CIDR: ${entry}`);
+        }
+        blockList.addSubnet(address, bits, type);
       }
     }
     
+    return blockList;
+  }
+
+  static ipInList(blockList, ip) {
+    const address = Utils.normalizeIp(ip);
+    const family = net.isIP(address || '');
+    
+    if (!blockList || !family) return false;
+    
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  static resolveClientIp(remoteAddress, forwardedFor, trustedProxies) {
+    let clientIp = Utils.normalizeIp(remoteAddress);
+    
+    if (!clientIp || !forwardedFor || !Utils.ipInList(trustedProxies, clientIp)) {
+      return clientIp;
+    }
+    
+    // Walk X-Forwarded-For from the nearest hop outwards; the first address
+    // not belonging to a trusted proxy is the client.
+    const hops = Utils.parseList(forwardedFor).map(Utils.normalizeIp);
+    
+    for (let index = hops.length - 1; index >= 0; index--) {
+      if (!net.isIP(hops[index])) break;
+      
+      clientIp = hops[index];
+      if (!Utils.ipInList(trustedProxies, clientIp)) break;
+    }
+    
+    return clientIp;
+  }
+
+  static getParameterLayer(config, layer, protocol) {
+    const sections = config[layer] || {};
+    
+    return {
+      ...(sections.all || {}),
+      ...(protocol && sections[protocol] ? sections[protocol] : {})
+    };
+  }
+
+  // Presence alone is refused, even with the locked value: a token issuer
+  // that sets a locked parameter at all is misconfigured or probing.
+  static findLockedParams(token, config) {
+    const locked = Utils.getParameterLayer(config, 'locked', token.protocol);
+    
+    return Object.keys(locked).filter(key => key in token);
+  }
+
+  static createConnectionSettings(token, config) {
+    const settings = { ...token };
+    
+    // Defaults only fill gaps; overrides and locked values always win.
+    for (const [key, value] of Object.entries(Utils.getParameterLayer(config, 'defaults', settings.protocol))) {
+      if (settings[key] === undefined || settings[key] === null || settings[key] === '') {
+        settings[key] = value;
+      }
+    }
+    
+    Object.assign(settings,
+      Utils.getParameterLayer(config, 'overrides', settings.protocol),
+      Utils.getParameterLayer(config, 'locked', settings.protocol));
+    
     if (config.drive_path_template && settings.protocol === 'rdp') {
       const drivePath = config.drive_path_template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
         return token.meta && token.meta[key] ? token.meta[key] : match;
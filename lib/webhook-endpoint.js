@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Utils = require('./utils');
+const WebhookSignature = require('./webhook-signature');
+const logger = require('./logger');
+
+// One webhook receiver with its own queue, so a slow or failing receiver
+// only delays its own deliveries. With a journal the queue is also kept on
+// disk, so it survives a restart.
+class WebhookEndpoint {
+  constructor(name, settings, journal = null) {
+    this.name = name;
+    this.settings = settings;
+    this.journal = journal;
+    this.queue = [];
+    this.processing = false;
+    this.stopped = false;
+    this.wake = null;
+  }
+
+  updateSettings(settings) {
+    this.settings = settings;
+  }
+
+  // The new journal starts from the current queue; the old one is left as is.
+  setJournal(journal) {
+    if (this.journal) this.journal.close();
+    this.journal = journal;
+    if (journal) journal.compact(this.queue);
+  }
+
+  // Re-queues deliveries a previous run left in the journal.
+  restore() {
+    if (!this.journal) return;
+
+    const pending = this.journal.load();
+    this.journal.compact(pending);
+    if (pending.length === 0) return;
+
+    for (const webhook of pending) {
+      this.queue.push({
+        ...webhook,
+        maxAttempts: this.settings.max_attempts ?? 3,
+        nextRetry: Date.now()
+      });
+    }
+
+    logger.info('Webhook deliveries restored from journal', { endpoint: this.name, count: pending.length });
+    this.processQueue();
+  }
+
+  // A journal that can't be written (disk full, permissions) must not lose
+  // the delivery or fail the caller; it still goes out from memory.
+  writeJournal(operation, ...args) {
+    if (!this.journal) return;
+
+    try {
+      this.journal[operation](...args);
+    } catch (error) {
+      logger.error('Webhook journal write failed', { endpoint: this.name, operation, error: error.message });
+    }
+  }
+
+  accepts(event) {
+    const events = Utils.parseList(this.settings.events);
+    return events.length === 0 || events.includes('*') || events.includes(event);
+  }
+
+  enqueue(payload) {
+    const webhook = {
+      // Kept across retries and restarts so receivers can discard duplicates.
+      id: crypto.randomUUID(),
+      payload,
+      attempts: 0,
+      maxAttempts: this.settings.max_attempts ?? 3,
+      nextRetry: Date.now(),
+      queuedAt: new Date().toISOString()
+    };
+
+    this.writeJournal('queued', webhook);
+    this.queue.push(webhook);
+
+    this.processQueue();
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(
+      (this.settings.retry_delay ?? 1000) * Math.pow(2, attempts),
+      this.settings.retry_max_delay ?? 30000
+    );
+  }
+
+  async processQueue() {
+    if (this.processing) {
+      // A fresh delivery ends the wait for retries that are not due yet.
+      if (this.wake) this.wake();
+      return;
+    }
+
+    if (this.stopped || this.queue.length === 0) {
+      return;
+    }
+
+    this.processing = true;
+
+    while (this.queue.length > 0 && !this.stopped) {
+      // Retries that are not due yet are skipped, not waited on, so they
+      // don't hold up the deliveries queued behind them.
+      const index = this.queue.findIndex(queued => queued.nextRetry <= Date.now());
+
+      if (index === -1) {
+        const nextRetry = Math.min(...this.queue.map(queued => queued.nextRetry));
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, Math.min(nextRetry - Date.now(), 1000));
+          this.wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wake = null;
+        continue;
+      }
+
+      const [webhook] = this.queue.splice(index, 1);
+      const context = { endpoint: this.name, event: webhook.payload.event, sessionId: webhook.payload.session_id };
+
+      try {
+        await this.send(webhook.payload, webhook.id);
+        logger.verbose('Webhook sent', { ...context, deliveryId: webhook.id });
+        this.writeJournal('delivered', webhook);
+      } catch (error) {
+        logger.error('Webhook failed', { ...context, error: error.message });
+
+        webhook.attempts++;
+
+        if (webhook.attempts < webhook.maxAttempts) {
+          webhook.nextRetry = Date.now() + this.getRetryDelay(webhook.attempts);
+          this.queue.push(webhook);
+          this.writeJournal('failed', webhook);
+        } else if (this.journal) {
+          this.writeJournal('deadLetter', webhook, { url: this.settings.url, error: error.message });
+          logger.error('Max webhook attempts reached, moved to dead-letter file', { ...context, deliveryId: webhook.id });
+        } else {
+          logger.error('Max webhook attempts reached', context);
+        }
+      }
+    }
+
+    if (this.queue.length === 0) {
+      this.writeJournal('compact', []);
+    }
+
+    this.processing = false;
+  }
+
+  async send(payload, deliveryId = crypto.randomUUID()) {
+    const options = {
+      method: 'POST',
+      url: this.settings.url,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'guacamole-lite-server/1.0.0'
+      },
+      data: payload,
+      timeout: this.settings.timeout ?? 10000,
+      maxRedirects: 3
+    };
+
+    if (this.settings.headers) {
+      Object.assign(options.headers, this.settings.headers);
+    }
+
+    options.headers['X-Delivery-Id'] = deliveryId;
+
+    // Signed over the exact bytes sent, so the body is serialized here.
+    if (Utils.parseList(this.settings.signing_secrets).length > 0) {
+      options.data = JSON.stringify(payload);
+      Object.assign(options.headers, WebhookSignature.createHeaders(this.settings.signing_secrets, options.data));
+    }
+
+    if (this.settings.auth_type === 'bearer' && this.settings.auth_token) {
+      options.headers.Authorization = `Bearer ${this.settings.auth_token}`;
+    } else if (this.settings.auth_type === 'basic' && this.settings.auth_username && this.settings.auth_password) {
+      options.auth = {
+        username: this.settings.auth_username,
+        password: this.settings.auth_password
+      };
+    }
+
+    const response = await axios(options);
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.data;
+  }
+
+  // A journaled queue only waits for the delivery in flight; the rest is
+  // replayed on the next start.
+  async cleanup() {
+    if (this.journal) {
+      this.stopped = true;
+      if (this.wake) this.wake();
+    }
+
+    while ((this.queue.length > 0 && !this.stopped) || this.processing) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    if (this.journal) this.journal.close();
+  }
+
+  getQueueStatus() {
+    return {
+      pending: this.queue.length,
+      processing: this.processing
+    };
+  }
+}
+
+module.exports = WebhookEndpoint;
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEAD_LETTER_DIR = 'dead-letter';
+
+// Append-only JSONL record of one endpoint's queue, so deliveries survive a
+// restart. Deliveries that run out of attempts move to a dead-letter file.
+class WebhookJournal {
+  constructor(directory, endpoint, tenant = null) {
+    this.directory = directory;
+    this.endpoint = endpoint;
+    this.tenant = tenant;
+    this.name = WebhookJournal.getName(endpoint, tenant);
+    this.filePath = path.join(directory, `${this.name}.jsonl`);
+    this.deadLetterPath = path.join(directory, DEAD_LETTER_DIR, `${this.name}.jsonl`);
+    this.fd = null;
+  }
+
+  // Section names cannot contain dots, so '<tenant>.<endpoint>' never
+  // collides with a global endpoint.
+  static getName(endpoint, tenant = null) {
+    return tenant ? `${tenant}.${endpoint}` : endpoint;
+  }
+
+  static readRecords(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash; the records before it are intact.
+      }
+    }
+    return records;
+  }
+
+  // Deliveries that were queued but neither delivered nor dead-lettered.
+  load() {
+    const pending = new Map();
+
+    for (const record of WebhookJournal.readRecords(this.filePath)) {
+      if (record.op === 'queued') {
+        pending.set(record.id, { id: record.id, payload: record.payload, queuedAt: record.queuedAt, attempts: 0 });
+      } else if (record.op === 'failed' && pending.has(record.id)) {
+        pending.get(record.id).attempts = record.attempts;
+      } else if (record.op === 'done' || record.op === 'dead') {
+        pending.delete(record.id);
+      }
+    }
+
+    return Array.from(pending.values());
+  }
+
+  append(record) {
+    if (this.fd === null) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.fd = fs.openSync(this.filePath, 'a');
+    }
+
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    fs.fsyncSync(this.fd);
+  }
+
+  queued(webhook) {
+    this.append({ op: 'queued', id: webhook.id, queuedAt: webhook.queuedAt, payload: webhook.payload });
+  }
+
+  failed(webhook) {
+    this.append({ op: 'failed', id: webhook.id, attempts: webhook.attempts });
+  }
+
+  delivered(webhook) {
+    this.append({ op: 'done', id: webhook.id });
+  }
+
+  deadLetter(webhook, details = {}) {
+    fs.mkdirSync(path.dirname(this.deadLetterPath), { recursive: true });
+    fs.appendFileSync(this.deadLetterPath, JSON.stringify({
+      op: 'dead',
+      id: webhook.id,
+      deadAt: new Date().toISOString(),
+      endpoint: this.endpoint,
+      tenant: this.tenant,
+      ...details,
+      attempts: webhook.attempts,
+      queuedAt: webhook.queuedAt,
+      payload: webhook.payload
+    }) + '\n');
+
+    this.append({ op: 'dead', id: webhook.id });
+  }
+
+  // Rewrites the journal with only the pending deliveries so it doesn't grow
+  // without bound.
+  compact(pending) {
+    this.close();
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const lines = [];
+    for (const webhook of pending) {
+      lines.push(JSON.stringify({ op: 'queued', id: webhook.id, queuedAt: webhook.queuedAt, payload: webhook.payload }));
+      if (webhook.attempts > 0) {
+        lines.push(JSON.stringify({ op: 'failed', id: webhook.id, attempts: webhook.attempts }));
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.map(line => line + '\n').join(''));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  // Dead letters not yet re-sent, oldest first, across all endpoints.
+  static readDeadLetters(directory) {
+    const deadLetterDir = path.join(directory, DEAD_LETTER_DIR);
+    let files;
+    try {
+      files = fs.readdirSync(deadLetterDir).filter(file => file.endsWith('.jsonl'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files) {
+      const letters = new Map();
+
+      for (const record of WebhookJournal.readRecords(path.join(deadLetterDir, file))) {
+        if (record.op === 'dead') {
+          letters.set(record.id, { ...record, name: path.basename(file, '.jsonl') });
+        } else if (record.op === 'resent') {
+          letters.delete(record.id);
+        }
+      }
+      entries.push(...letters.values());
+    }
+
+    return entries.sort((a, b) => String(a.deadAt).localeCompare(String(b.deadAt)));
+  }
+
+  // Appended rather than rewritten so a running server can keep adding
+  // dead letters to the same file.
+  static markResent(directory, name, id) {
+    fs.appendFileSync(path.join(directory, DEAD_LETTER_DIR, `${name}.jsonl`),
+      JSON.stringify({ op: 'resent', id, resentAt: new Date().toISOString() }) + '\n');
+  }
+}
+
+module.exports = WebhookJournal;
@@ -1,16 +1,138 @@
-const axios = require('axios');
 const Utils = require('./utils');
+const WebhookEndpoint = require('./webhook-endpoint');
+const WebhookJournal = require('./webhook-journal');
+
+const EVENTS = [
+  'session_started',
+  'session_ended',
+  'session_expiring',
+  'recording_saved',
+  'server_draining',
+  'connection_rejected',
+  'client_locked_out'
+];
+
+// Keys of a [webhooks.<name>] section. The same keys prefixed with 'webhook_'
+// describe the default endpoint.
+const ENDPOINT_KEYS = [
+  'url', 'events', 'headers', 'timeout', 'max_attempts', 'retry_delay', 'retry_max_delay',
+  'auth_type', 'auth_token', 'auth_username', 'auth_password', 'signing_secrets'
+];
+
+// Delivery settings named endpoints take from the webhook_* keys unless they
+// set their own. Credentials and filters are never shared between endpoints.
+const INHERITED_KEYS = ['timeout', 'max_attempts', 'retry_delay', 'retry_max_delay'];
+
+const DEFAULT_ENDPOINT = 'default';
 
 class WebhookManager {
-  constructor(config) {
+  constructor(config, tenant = null) {
+    this.config = config;
+    this.tenant = tenant;
+    this.endpoints = new Map();
+    this.replayed = false;
+    this.setupEndpoints();
+  }
+
+  updateConfig(config) {
     this.config = config;
-    this.queue = [];
-    this.processing = false;
-    this.enabled = !!(config.webhook_enable && config.webhook_url);
+    this.setupEndpoints();
+  }
+
+  static getEndpointSettings(config) {
+    const endpoints = new Map();
+    if (!config.webhook_enable) return endpoints;
+
+    const global = {};
+    for (const key of ENDPOINT_KEYS) {
+      if (config[`webhook_${key}`] !== undefined) {
+        global[key] = config[`webhook_${key}`];
+      }
+    }
+
+    if (global.url) {
+      endpoints.set(DEFAULT_ENDPOINT, global);
+    }
+
+    for (const [name, section] of Object.entries(config.webhooks || {})) {
+      if (!section || !section.url || section.enable === false) continue;
+
+      const inherited = {};
+      for (const key of INHERITED_KEYS) {
+        if (global[key] !== undefined) {
+          inherited[key] = global[key];
+        }
+      }
+      endpoints.set(name, { ...inherited, ...section });
+    }
+
+    return endpoints;
+  }
+
+  static validate(config) {
+    const sections = Object.entries(config.webhooks || {});
+
+    for (const [name, section] of sections) {
+      if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        throw new Error(`Webhook endpoint '${name}' must be a section`);
+      }
+      if (name === DEFAULT_ENDPOINT) {
+        throw new Error(`Webhook endpoint name '${DEFAULT_ENDPOINT}' is reserved for webhook_url`);
+      }
+      if (!section.url || !Utils.isValidUrl(section.url)) {
+        throw new Error(`Webhook endpoint '${name}' has an invalid url: ${section.url || '(none)'}`);
+      }
+    }
+
+    const filters = [[DEFAULT_ENDPOINT, config.webhook_events], ...sections.map(([name, section]) => [name, section.events])];
+    for (const [name, events] of filters) {
+      const unknown = Utils.parseList(events).filter(event => event !== '*' && !EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new Error(`Webhook endpoint '${name}' filters unknown events: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  // Endpoints that survive a reload keep their queues.
+  setupEndpoints() {
+    const endpoints = new Map();
+    const directory = this.config.webhook_journal_dir || null;
+
+    for (const [name, settings] of WebhookManager.getEndpointSettings(this.config)) {
+      let endpoint = this.endpoints.get(name);
+
+      if (!endpoint) {
+        endpoint = new WebhookEndpoint(name, settings, this.createJournal(name));
+        if (this.replayed) endpoint.restore();
+      } else if ((endpoint.journal?.directory || null) !== directory) {
+        endpoint.setJournal(this.createJournal(name));
+      }
+
+      endpoint.updateSettings(settings);
+      endpoints.set(name, endpoint);
+    }
+
+    this.endpoints = endpoints;
+  }
+
+  createJournal(name) {
+    return this.config.webhook_journal_dir
+      ? new WebhookJournal(this.config.webhook_journal_dir, name, this.tenant)
+      : null;
+  }
+
+  // Called once at startup; endpoints added by a later reload replay their
+  // own journal when they are created.
+  replayJournal() {
+    this.replayed = true;
+
+    for (const endpoint of this.endpoints.values()) {
+      endpoint.restore();
+    }
   }
 
   isEnabled() {
-    return this.enabled === true;
+    return this.endpoints.size > 0;
   }
 
   async sendSessionStarted(sessionId, connection) {
@@ -20,7 +142,8 @@ class WebhookManager {
       event: 'session_started',
       timestamp: new Date().toISOString(),
       session_id: sessionId,
-      token_meta: Utils.sanitizeWebhookPayload(connection.token?.meta || {})
+      token_meta: Utils.sanitizeWebhookPayload(connection.token?.meta || {}),
+      ...this.getTenantFields(connection.token?.tenant)
     };
 
     this.queueWebhook(payload);
@@ -33,7 +156,24 @@ class WebhookManager {
       event: 'session_ended',
       timestamp: new Date().toISOString(),
       session_id: sessionId,
-      token_meta: Utils.sanitizeWebhookPayload(connection.token?.meta || {})
+      token_meta: Utils.sanitizeWebhookPayload(connection.token?.meta || {}),
+      ...this.getTenantFields(connection.token?.tenant)
+    };
+
+    this.queueWebhook(payload);
+  }
+
+  async sendSessionExpiring(sessionId, connection, expiresAt) {
+    if (!this.isEnabled()) return;
+
+    const payload = {
+      event: 'session_expiring',
+      timestamp: new Date().toISOString(),
+      session_id: sessionId,
+      token_meta: Utils.sanitizeWebhookPayload(connection.token?.meta || {}),
+      ...this.getTenantFields(connection.token?.tenant),
+      expires_at: new Date(expiresAt).toISOString(),
+      seconds_remaining: Math.max(0, Math.round((expiresAt - Date.now()) / 1000))
     };
 
     this.queueWebhook(payload);
@@ -47,6 +187,7 @@ class WebhookManager {
       timestamp: new Date().toISOString(),
       session_id: sessionId,
       token_meta: Utils.sanitizeWebhookPayload(connection.token?.meta || {}),
+      ...this.getTenantFields(connection.token?.tenant),
       recording: {
         bucket: bucket,
         key: key
@@ -56,92 +197,75 @@ class WebhookManager {
     this.queueWebhook(payload);
   }
 
-  queueWebhook(payload) {
-    this.queue.push({
-      payload,
-      attempts: 0,
-      maxAttempts: 3,
-      nextRetry: Date.now()
-    });
+  // With notifiedUrls, managers sharing a receiver (tenants inheriting an
+  // endpoint) notify it once: listed URLs are skipped, new ones are added.
+  async sendServerDraining(activeSessions, gracePeriod, notifiedUrls = null) {
+    if (!this.isEnabled()) return;
 
-    this.processQueue();
-  }
+    const payload = {
+      event: 'server_draining',
+      timestamp: new Date().toISOString(),
+      active_sessions: activeSessions,
+      grace_period_ms: gracePeriod
+    };
 
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) {
+    if (!notifiedUrls) {
+      this.queueWebhook(payload);
       return;
     }
 
-    this.processing = true;
-
-    while (this.queue.length > 0) {
-      const webhook = this.queue.shift();
+    this.queueWebhook(payload, (endpoint) => {
+      if (notifiedUrls.has(endpoint.settings.url)) return false;
+      notifiedUrls.add(endpoint.settings.url);
+      return true;
+    });
+  }
 
-      if (webhook.nextRetry > Date.now()) {
-        this.queue.unshift(webhook);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        continue;
-      }
+  async sendConnectionRejected(reason, details = {}) {
+    if (!this.isEnabled()) return;
 
-      try {
-        await this.sendWebhook(webhook.payload);
-        console.log('Webhook sent successfully:', webhook.payload.event);
-      } catch (error) {
-        console.error('Webhook failed:', error.message);
-        
-        webhook.attempts++;
-        
-        if (webhook.attempts < webhook.maxAttempts) {
-          const backoffDelay = Math.min(
-            1000 * Math.pow(2, webhook.attempts),
-            30000
-          );
-          webhook.nextRetry = Date.now() + backoffDelay;
-          this.queue.push(webhook);
-        } else {
-          console.error('Max webhook attempts reached for:', webhook.payload.event);
-        }
-      }
-    }
+    const payload = {
+      event: 'connection_rejected',
+      timestamp: new Date().toISOString(),
+      reason,
+      client_ip: details.clientIp || null,
+      protocol: details.protocol || null,
+      hostname: details.hostname || null,
+      token_meta: Utils.sanitizeWebhookPayload(details.meta || {}),
+      ...this.getTenantFields(details.tenant)
+    };
 
-    this.processing = false;
+    this.queueWebhook(payload);
   }
 
-  async sendWebhook(payload) {
-    const options = {
-      method: 'POST',
-      url: this.config.webhook_url,
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'guacamole-lite-server/1.0.0'
-      },
-      data: payload,
-      timeout: 10000,
-      maxRedirects: 3
+  async sendClientLockedOut(clientIp, failures, until) {
+    if (!this.isEnabled()) return;
+
+    const payload = {
+      event: 'client_locked_out',
+      timestamp: new Date().toISOString(),
+      client_ip: clientIp,
+      failures,
+      locked_until: new Date(until).toISOString()
     };
 
-    if (this.config.webhook_headers) {
-      Object.assign(options.headers, this.config.webhook_headers);
-    }
+    this.queueWebhook(payload);
+  }
 
-    if (this.config.webhook_auth_type === 'bearer' && this.config.webhook_auth_token) {
-      options.headers.Authorization = `Bearer ${this.config.webhook_auth_token}`;
-    } else if (this.config.webhook_auth_type === 'basic' && this.config.webhook_auth_username && this.config.webhook_auth_password) {
-      options.auth = {
-        username: this.config.webhook_auth_username,
-        password: this.config.webhook_auth_password
-      };
-    }
+  // Payloads only name the tenant in multi-tenant mode.
+  getTenantFields(tenant) {
+    return tenant ? { tenant } : {};
+  }
 
-    const response = await axios(options);
-    
-    if (response.status < 200 || response.status >= 300) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  queueWebhook(payload, filter = () => true) {
+    for (const endpoint of this.endpoints.values()) {
+      if (endpoint.accepts(payload.event) && filter(endpoint)) {
+        endpoint.enqueue(payload);
+      }
     }
-    
-    return response.data;
   }
 
+  // A test delivery goes to every endpoint, whatever its event filter.
   async testWebhook() {
     if (!this.isEnabled()) {
       return { success: false, error: 'Webhook not enabled' };
@@ -156,26 +280,41 @@ class WebhookManager {
       }
     };
 
-    try {
-      await this.sendWebhook(testPayload);
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
+    const failures = [];
+    for (const endpoint of this.endpoints.values()) {
+      try {
+        await endpoint.send(testPayload);
+      } catch (error) {
+        failures.push(this.endpoints.size > 1 ? `${endpoint.name}: ${error.message}` : error.message);
+      }
     }
+
+    return failures.length > 0
+      ? { success: false, error: failures.join('; ') }
+      : { success: true };
   }
 
   async cleanup() {
-    while (this.queue.length > 0 && this.processing) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+    await Promise.all(Array.from(this.endpoints.values()).map(endpoint => endpoint.cleanup()));
   }
 
   getQueueStatus() {
+    const statuses = Array.from(this.endpoints.values()).map(endpoint => endpoint.getQueueStatus());
+
     return {
-      pending: this.queue.length,
-      processing: this.processing
+      pending: statuses.reduce((total, status) => total + status.pending, 0),
+      processing: statuses.some(status => status.processing)
     };
   }
+
+  getEndpointStatus() {
+    return Array.from(this.endpoints.values()).map(endpoint => ({
+      name: endpoint.name,
+      ...endpoint.getQueueStatus()
+    }));
+  }
 }
 
-module.exports = WebhookManager;
\ No newline at end of file
+module.exports = WebhookManager;
+module.exports.EVENTS = EVENTS;
+module.exports.ENDPOINT_KEYS = ENDPOINT_KEYS;
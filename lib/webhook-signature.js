@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const Utils = require('./utils');
+
+const SIGNATURE_SCHEME = 'sha256';
+
+// Signs webhook deliveries and verifies them on the receiving side. The
+// signature covers '<timestamp>.<raw body>', so a captured delivery can't be
+// replayed with a new timestamp.
+class WebhookSignature {
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // One signature per active secret, so receivers keep verifying while
+  // secrets are rotated.
+  static createHeaders(secrets, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signatures = Utils.parseList(secrets)
+      .map(secret => `${SIGNATURE_SCHEME}=${WebhookSignature.sign(secret, timestamp, body)}`);
+
+    return {
+      'X-Timestamp': String(timestamp),
+      'X-Signature': signatures.join(',')
+    };
+  }
+
+  static parseSignatures(header) {
+    return Utils.parseList(header)
+      .map(entry => entry.split('='))
+      .filter(([scheme, value]) => scheme === SIGNATURE_SCHEME && /^[0-9a-f]{64}$/i.test(value || ''))
+      .map(([, value]) => Buffer.from(value, 'hex'));
+  }
+
+  static getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+    const value = key ? headers[key] : undefined;
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  // For receivers: true when the delivery is signed with one of the secrets
+  // and its timestamp is within 'tolerance' seconds of now.
+  static verify(body, headers, secrets, { tolerance = 300, now = Date.now() } = {}) {
+    const timestamp = Number(WebhookSignature.getHeader(headers, 'X-Timestamp'));
+    if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > tolerance) {
+      return false;
+    }
+
+    const signatures = WebhookSignature.parseSignatures(WebhookSignature.getHeader(headers, 'X-Signature'));
+    const raw = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+
+    return Utils.parseList(secrets).some(secret => {
+      const expected = Buffer.from(WebhookSignature.sign(secret, timestamp, raw), 'hex');
+      return signatures.some(signature => crypto.timingSafeEqual(signature, expected));
+    });
+  }
+}
+
+module.exports = WebhookSignature;
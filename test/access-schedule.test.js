@@ -0,0 +1,70 @@
+const AccessSchedule = require('../lib/access-schedule');
+
+describe('AccessSchedule', () => {
+  let schedule;
+
+  beforeEach(() => {
+    schedule = new AccessSchedule({
+      schedules: {
+        office: { days: 'weekdays', start: '08:00', end: '18:00', timezone: 'Europe/Berlin' },
+        night: { days: ['fri', 'sat'], start: '22:00', end: '06:00', timezone: 'UTC' }
+      }
+    });
+  });
+
+  describe('parseDays()', () => {
+    test('should accept aliases, lists and ranges', () => {
+      expect(Array.from(AccessSchedule.parseDays('weekdays'))).toEqual([1, 2, 3, 4, 5]);
+      expect(Array.from(AccessSchedule.parseDays(['sat', 'Sunday']))).toEqual([6, 0]);
+      expect(Array.from(AccessSchedule.parseDays('fri-mon'))).toEqual([5, 6, 0, 1]);
+      expect(AccessSchedule.parseDays(undefined).size).toBe(7);
+    });
+
+    test('should reject unknown days', () => {
+      expect(() => AccessSchedule.parseDays('mon-funday')).toThrow('Invalid day');
+    });
+  });
+
+  describe('parseTime()', () => {
+    test('should parse HH:MM and whole hours', () => {
+      expect(AccessSchedule.parseTime('08:30')).toBe(510);
+      expect(AccessSchedule.parseTime(8)).toBe(480);
+      expect(AccessSchedule.parseTime('24:00')).toBe(1440);
+      expect(() => AccessSchedule.parseTime('25:00')).toThrow('Invalid time');
+      expect(() => AccessSchedule.parseTime('8:75')).toThrow('Invalid time');
+    });
+  });
+
+  describe('getWindowEnd()', () => {
+    test('should follow the schedule timezone', () => {
+      // Monday 2025-03-03 07:30 UTC is 08:30 in Berlin.
+      const now = Date.parse('2025-03-03T07:30:00Z');
+
+      expect(schedule.isOpen('office', now)).toBe(true);
+      expect(schedule.getWindowEnd('office', now)).toBe(Date.parse('2025-03-03T17:00:00Z'));
+      expect(schedule.isOpen('office', Date.parse('2025-03-03T06:30:00Z'))).toBe(false);
+    });
+
+    test('should be closed on days outside the schedule', () => {
+      expect(schedule.isOpen('office', Date.parse('2025-03-08T10:00:00Z'))).toBe(false);
+    });
+
+    test('should handle windows that span midnight', () => {
+      expect(schedule.getWindowEnd('night', Date.parse('2025-03-07T23:00:00Z'))).toBe(Date.parse('2025-03-08T06:00:00Z'));
+      expect(schedule.getWindowEnd('night', Date.parse('2025-03-08T05:59:30Z'))).toBe(Date.parse('2025-03-08T06:00:00Z'));
+      // Thursday night is not part of the schedule.
+      expect(schedule.isOpen('night', Date.parse('2025-03-07T02:00:00Z'))).toBe(false);
+    });
+
+    test('should join windows that continue the next day', () => {
+      schedule.updateConfig({ schedules: { weekdays: { days: 'mon-fri', timezone: 'UTC' } } });
+
+      expect(schedule.getWindowEnd('weekdays', Date.parse('2025-03-05T12:00:00Z'))).toBe(Date.parse('2025-03-08T00:00:00Z'));
+    });
+
+    test('should return null for unknown schedules', () => {
+      expect(schedule.getWindowEnd('missing')).toBeNull();
+      expect(schedule.getSchedule('missing')).toBeNull();
+    });
+  });
+});
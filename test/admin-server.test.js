@@ -0,0 +1,228 @@
+const http = require('http');
+const AdminServer = require('../lib/admin-server');
+
+function request(adminServer, method, path, token) {
+  const { port } = adminServer.getAddress();
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        const isJson = (res.headers['content-type'] || '').includes('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(data) : data });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('AdminServer', () => {
+  let adminServer;
+  let gateway;
+  let config;
+
+  const session = {
+    connectionId: 1,
+    sessionId: 'session-123',
+    protocol: 'rdp',
+    hostname: '10.0.0.5',
+    userId: 'user123',
+    startedAt: '2024-01-01T00:00:00.000Z',
+    recording: { active: true, filename: 'user123/session.guac.gz' }
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    config = {
+      admin_enable: true,
+      admin_host: '127.0.0.1',
+      admin_port: 0,
+      admin_token: 'admin-secret'
+    };
+
+    gateway = {
+      getStatus: jest.fn().mockReturnValue({ running: true, connections: 1 }),
+      listSessions: jest.fn().mockReturnValue([session]),
+      getSession: jest.fn(id => (id === 'session-123' ? session : null)),
+      terminateSession: jest.fn(id => (id === 'session-123' ? session : null))
+    };
+
+    adminServer = new AdminServer(config, gateway);
+    await adminServer.start();
+  });
+
+  afterEach(async () => {
+    await adminServer.stop();
+    console.log.mockRestore();
+  });
+
+  describe('isEnabled()', () => {
+    test('should follow admin_enable', () => {
+      expect(adminServer.isEnabled()).toBe(true);
+      expect(new AdminServer({}, gateway).isEnabled()).toBe(false);
+    });
+  });
+
+  describe('authentication', () => {
+    test('should reject requests without a token', async () => {
+      const response = await request(adminServer, 'GET', '/sessions');
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toMatch(/^Bearer/);
+      expect(gateway.listSessions).not.toHaveBeenCalled();
+    });
+
+    test('should reject requests with a wrong token', async () => {
+      const response = await request(adminServer, 'GET', '/sessions', 'wrong');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should refuse to start without admin_token', async () => {
+      const unsecured = new AdminServer({ admin_enable: true, admin_port: 0 }, gateway);
+
+      await expect(unsecured.start()).rejects.toThrow('ADMIN_TOKEN is required');
+    });
+  });
+
+  describe('routes', () => {
+    test('should list active sessions', async () => {
+      const response = await request(adminServer, 'GET', '/sessions', 'admin-secret');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ sessions: [session] });
+    });
+
+    test('should return a single session', async () => {
+      const response = await request(adminServer, 'GET', '/sessions/session-123', 'admin-secret');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(session);
+      expect(gateway.getSession).toHaveBeenCalledWith('session-123');
+    });
+
+    test('should return 404 for unknown sessions', async () => {
+      const response = await request(adminServer, 'GET', '/sessions/missing', 'admin-secret');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Session not found' });
+    });
+
+    test('should terminate a session', async () => {
+      const response = await request(adminServer, 'DELETE', '/sessions/session-123', 'admin-secret');
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({ terminated: true, session });
+      expect(gateway.terminateSession).toHaveBeenCalledWith('session-123');
+    });
+
+    test('should reload configuration', async () => {
+      gateway.reloadConfig = jest.fn().mockReturnValue({ applied: ['webhook_url'], restartRequired: [] });
+
+      const response = await request(adminServer, 'POST', '/config/reload', 'admin-secret');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ applied: ['webhook_url'], restartRequired: [] });
+    });
+
+    test('should report configuration reload failures', async () => {
+      gateway.reloadConfig = jest.fn(() => {
+        throw new Error('Missing required configuration: guacd_host');
+      });
+
+      const response = await request(adminServer, 'POST', '/config/reload', 'admin-secret');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Missing required configuration: guacd_host' });
+    });
+
+    test('should record admin actions and failed logins in the audit log', async () => {
+      const auditLog = { record: jest.fn() };
+      await adminServer.stop();
+      adminServer = new AdminServer(config, gateway, auditLog);
+      await adminServer.start();
+
+      await request(adminServer, 'GET', '/sessions', 'admin-secret');
+      await request(adminServer, 'DELETE', '/sessions/session-123', 'admin-secret');
+      await request(adminServer, 'DELETE', '/sessions/session-123', 'wrong');
+
+      expect(auditLog.record).toHaveBeenCalledTimes(2);
+      expect(auditLog.record).toHaveBeenCalledWith('admin_action', expect.objectContaining({
+        method: 'DELETE',
+        path: '/sessions/session-123',
+        status: 202
+      }));
+      expect(auditLog.record).toHaveBeenCalledWith('admin_auth_failed', expect.objectContaining({
+        status: 401
+      }));
+    });
+
+    test('should return server status', async () => {
+      const response = await request(adminServer, 'GET', '/status', 'admin-secret');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ running: true, connections: 1 });
+    });
+
+    test('should answer 405 for unsupported methods on known paths', async () => {
+      const response = await request(adminServer, 'POST', '/sessions', 'admin-secret');
+
+      expect(response.status).toBe(405);
+    });
+
+    test('should answer 404 for unknown paths', async () => {
+      const response = await request(adminServer, 'GET', '/unknown', 'admin-secret');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should answer 400 for a malformed percent-escape without authentication', async () => {
+      const response = await request(adminServer, 'GET', '/sessions/%E0%A4%A');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Malformed request path' });
+      expect(gateway.getSession).not.toHaveBeenCalled();
+
+      const next = await request(adminServer, 'GET', '/status', 'admin-secret');
+      expect(next.status).toBe(200);
+    });
+
+    test('should return 500 when recording the audit entry fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const auditLog = { record: jest.fn(() => { throw new Error('ENOSPC'); }) };
+      await adminServer.stop();
+      adminServer = new AdminServer(config, gateway, auditLog);
+      await adminServer.start();
+
+      const response = await request(adminServer, 'GET', '/sessions', 'wrong');
+
+      expect(response.status).toBe(500);
+      console.error.mockRestore();
+    });
+
+    test('should serve public routes without a token', async () => {
+      adminServer.addRoute('GET', '/ping', () => ({ body: 'pong' }), { public: true });
+
+      const response = await request(adminServer, 'GET', '/ping');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toBe('pong');
+    });
+
+    test('should return 500 when a handler throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      gateway.listSessions.mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+      const response = await request(adminServer, 'GET', '/sessions', 'admin-secret');
+
+      expect(response.status).toBe(500);
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../lib/audit-log');
+
+describe('AuditLog', () => {
+  let tempDir;
+  let filePath;
+  let config;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    filePath = path.join(tempDir, 'audit', 'audit.jsonl');
+    config = { audit_log_enable: true, audit_log_path: filePath };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function readEntries() {
+    return fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  describe('record()', () => {
+    test('should append chained entries', () => {
+      const auditLog = new AuditLog(config);
+
+      auditLog.record('token_accepted', { userId: 'u1', clientIp: '10.0.0.1' });
+      auditLog.record('session_started', { sessionId: 's1' });
+      auditLog.close();
+
+      const [first, second] = readEntries();
+      expect(first).toMatchObject({ seq: 1, event: 'token_accepted', userId: 'u1', prev_hash: '0'.repeat(64) });
+      expect(second).toMatchObject({ seq: 2, event: 'session_started', prev_hash: first.hash });
+      expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should continue the chain after reopening', () => {
+      const first = new AuditLog(config);
+      first.record('session_started', { sessionId: 's1' });
+      first.close();
+
+      const second = new AuditLog(config);
+      second.record('session_ended', { sessionId: 's1' });
+      second.close();
+
+      const entries = readEntries();
+      expect(entries[1]).toMatchObject({ seq: 2, prev_hash: entries[0].hash });
+      expect(AuditLog.verify(filePath)).toMatchObject({ valid: true, entries: 2 });
+    });
+
+    test('should do nothing when disabled', () => {
+      const auditLog = new AuditLog({ audit_log_enable: false, audit_log_path: filePath });
+
+      expect(auditLog.record('session_started')).toBe(null);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('should refuse to append after a truncated entry', () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '{"seq":1,"event":"sess');
+
+      const auditLog = new AuditLog(config);
+
+      expect(() => auditLog.record('session_started')).toThrow('ends with a corrupt entry');
+    });
+  });
+
+  describe('verify()', () => {
+    beforeEach(() => {
+      const auditLog = new AuditLog(config);
+      auditLog.record('token_accepted', { userId: 'u1' });
+      auditLog.record('session_started', { sessionId: 's1' });
+      auditLog.record('session_ended', { sessionId: 's1' });
+      auditLog.close();
+    });
+
+    test('should accept an intact chain', () => {
+      const result = AuditLog.verify(filePath);
+
+      expect(result).toEqual({ valid: true, entries: 3, lastHash: readEntries()[2].hash });
+    });
+
+    test('should detect modified content', () => {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      lines[1] = lines[1].replace('"s1"', '"s2"');
+      fs.writeFileSync(filePath, lines.join('\n'));
+
+      expect(AuditLog.verify(filePath)).toMatchObject({
+        valid: false,
+        line: 2,
+        entries: 1,
+        error: 'Entry hash does not match its content'
+      });
+    });
+
+    test('should detect removed entries', () => {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      lines.splice(1, 1);
+      fs.writeFileSync(filePath, lines.join('\n'));
+
+      expect(AuditLog.verify(filePath)).toMatchObject({
+        valid: false,
+        line: 2,
+        error: 'Expected sequence 2, found 3'
+      });
+    });
+
+    test('should detect a rewritten chain link', () => {
+      const entries = readEntries();
+      entries[2].prev_hash = 'f'.repeat(64);
+      entries[2].hash = AuditLog.computeHash(entries[2]);
+      fs.writeFileSync(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+      expect(AuditLog.verify(filePath)).toMatchObject({
+        valid: false,
+        line: 3,
+        error: 'prev_hash does not match the previous entry'
+      });
+    });
+
+    test('should report a missing file', () => {
+      expect(AuditLog.verify(path.join(tempDir, 'missing.jsonl'))).toMatchObject({
+        valid: false,
+        error: expect.stringContaining('Audit log not found')
+      });
+    });
+  });
+
+  describe('canonicalize()', () => {
+    test('should sort keys so hashes ignore property order', () => {
+      expect(AuditLog.canonicalize({ b: 1, a: { d: [1, 2], c: 'x' } }))
+        .toBe('{"a":{"c":"x","d":[1,2]},"b":1}');
+      expect(AuditLog.computeHash({ a: 1, b: 2 })).toBe(AuditLog.computeHash({ b: 2, a: 1 }));
+    });
+  });
+});
@@ -141,6 +141,54 @@ security = any
       expect(config.defaults.rdp['ignore-cert']).toBe(true);
     });
 
+    test('should merge tenant environment variables into nested tenant sections', () => {
+      const configContent = `
+websocket_port = 8080
+guacd_host = localhost
+guacd_port = 4822
+
+[tenants.acme]
+token_prefix = acme
+secret_key = acme-key
+
+[tenants.acme.defaults.rdp]
+security = nla
+      `;
+      fs.writeFileSync(tempConfigPath, configContent);
+
+      process.env.TENANTS_ACME_S3_DEFAULT_BUCKET = 'acme-recordings';
+      process.env.TENANTS_ACME_HOSTS = 'acme.example.com';
+      process.env.HOSTS = 'ignored.example.com';
+
+      const config = new ConfigLoader(tempConfigPath).load();
+
+      expect(config.tenants.acme.s3_default_bucket).toBe('acme-recordings');
+      expect(config.tenants.acme.hosts).toBe('acme.example.com');
+      expect(config.tenants.acme.defaults.rdp.security).toBe('nla');
+      expect(config.hosts).toBeUndefined();
+    });
+
+    test('should merge webhook endpoint environment variables', () => {
+      const configContent = `
+websocket_port = 8080
+guacd_host = localhost
+guacd_port = 4822
+
+[webhooks.archive]
+url = https://archive.example.com
+events = recording_saved
+      `;
+      fs.writeFileSync(tempConfigPath, configContent);
+
+      process.env.WEBHOOKS_ARCHIVE_AUTH_TOKEN = 'archive-token';
+      process.env.WEBHOOKS_ARCHIVE_MAX_ATTEMPTS = '5';
+
+      const config = new ConfigLoader(tempConfigPath).load();
+
+      expect(config.webhooks.archive.auth_token).toBe('archive-token');
+      expect(config.webhooks.archive.max_attempts).toBe(5);
+    });
+
     test('should ignore irrelevant environment variables', () => {
       const configContent = `
 websocket_port = 8080
@@ -181,6 +229,44 @@ guacd_port = 4822
       const loader = new ConfigLoader(tempConfigPath);
       expect(() => loader.load()).not.toThrow();
     });
+
+    test('should reject keyring entries without a secret or with a bad expiry', () => {
+      fs.writeFileSync(tempConfigPath, `
+websocket_port = 8080
+guacd_host = localhost
+guacd_port = 4822
+
+[keys.old]
+expires = 2025-01-01
+      `);
+      expect(() => new ConfigLoader(tempConfigPath).load()).toThrow("Key 'old' has no secret");
+
+      fs.writeFileSync(tempConfigPath, `
+websocket_port = 8080
+guacd_host = localhost
+guacd_port = 4822
+
+[keys.old]
+secret = abc
+expires = someday
+      `);
+      expect(() => new ConfigLoader(tempConfigPath).load()).toThrow("Key 'old' has an invalid expires date");
+    });
+
+    test('should reject schedules with an invalid timezone', () => {
+      fs.writeFileSync(tempConfigPath, `
+websocket_port = 8080
+guacd_host = localhost
+guacd_port = 4822
+
+[schedules.office]
+days = weekdays
+start = 08:00
+end = 18:00
+timezone = Mars/Olympus_Mons
+      `);
+      expect(() => new ConfigLoader(tempConfigPath).load()).toThrow("Schedule 'office' has an invalid timezone");
+    });
   });
 
   describe('interpolateTemplate()', () => {
@@ -211,4 +297,29 @@ guacd_port = 4822
       expect(loader.interpolateTemplate(123, {})).toBe(123);
     });
   });
-});
\ No newline at end of file
+
+  describe('diffConfig()', () => {
+    test('should list changed, added and removed keys', () => {
+      const loader = new ConfigLoader(tempConfigPath);
+      const previous = { websocket_port: 8080, webhook_url: 'http://a', secret_key: 'old' };
+      const next = { websocket_port: 8080, webhook_url: 'http://b', s3_region: 'eu-west-1' };
+
+      expect(loader.diffConfig(previous, next)).toEqual(['s3_region', 'secret_key', 'webhook_url']);
+    });
+
+    test('should report nested section keys with dot paths', () => {
+      const loader = new ConfigLoader(tempConfigPath);
+      const previous = { defaults: { rdp: { security: 'any' }, all: { width: 1024 } } };
+      const next = { defaults: { rdp: { security: 'nla' }, all: { width: 1024 } } };
+
+      expect(loader.diffConfig(previous, next)).toEqual(['defaults.rdp.security']);
+    });
+
+    test('should compare arrays by value', () => {
+      const loader = new ConfigLoader(tempConfigPath);
+
+      expect(loader.diffConfig({ list: ['a', 'b'] }, { list: ['a', 'b'] })).toEqual([]);
+      expect(loader.diffConfig({ list: ['a', 'b'] }, { list: ['a'] })).toEqual(['list']);
+    });
+  });
+});
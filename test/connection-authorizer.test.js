@@ -0,0 +1,125 @@
+const http = require('http');
+const ConnectionAuthorizer = require('../lib/connection-authorizer');
+
+function startFakeService(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => handler(req, JSON.parse(body), res));
+    });
+    server.sockets = new Set();
+    server.on('connection', socket => {
+      server.sockets.add(socket);
+      socket.on('close', () => server.sockets.delete(socket));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Node 16 has no server.closeAllConnections(), so open sockets are destroyed by hand.
+function stopServer(server) {
+  return new Promise(resolve => {
+    server.close(resolve);
+    server.sockets.forEach(socket => socket.destroy());
+  });
+}
+
+function reply(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+describe('ConnectionAuthorizer', () => {
+  let service;
+  let requests;
+  let respond;
+  let config;
+
+  const token = { protocol: 'rdp', hostname: 'desktop-1', password: 'hunter2', meta: { userId: 'alice' } };
+  const settings = { protocol: 'rdp', hostname: 'desktop-1', port: 3389 };
+
+  beforeEach(async () => {
+    requests = [];
+    respond = (req, body, res) => reply(res, 200, { allow: true });
+    service = await startFakeService((req, body, res) => {
+      requests.push({ headers: req.headers, body });
+      respond(req, body, res);
+    });
+    config = {
+      authorize_url: `http://127.0.0.1:${service.address().port}/authorize`,
+      authorize_timeout: 200,
+      authorize_auth_token: 'backend-token'
+    };
+  });
+
+  afterEach(() => stopServer(service));
+
+  test('should send the redacted token, client IP and target', async () => {
+    await new ConnectionAuthorizer(config).authorize({ ...token, tenant: 'acme' }, settings, { clientIp: '203.0.113.5' });
+
+    expect(requests[0].headers.authorization).toBe('Bearer backend-token');
+    expect(requests[0].body).toEqual(expect.objectContaining({
+      event: 'authorize',
+      client_ip: '203.0.113.5',
+      tenant: 'acme',
+      protocol: 'rdp',
+      hostname: 'desktop-1',
+      port: 3389
+    }));
+    expect(requests[0].body.token.password).toBe('[REDACTED]');
+  });
+
+  test('should return parameter overrides and the recording decision', async () => {
+    respond = (req, body, res) => reply(res, 200, { allow: true, params: { 'read-only': true }, recording: false });
+
+    expect(await new ConnectionAuthorizer(config).authorize(token, settings)).toEqual({
+      allow: true,
+      reason: null,
+      params: { 'read-only': true },
+      recording: false
+    });
+  });
+
+  test('should reject denied connections with the service reason', async () => {
+    respond = (req, body, res) => reply(res, 200, { allow: false, reason: 'change freeze' });
+
+    await expect(new ConnectionAuthorizer(config).authorize(token, settings)).rejects.toThrow(expect.objectContaining({
+      reason: 'authorization_denied',
+      message: 'Connection denied by authorization service: change freeze'
+    }));
+  });
+
+  test('should fail closed by default', async () => {
+    respond = () => {};
+
+    await expect(new ConnectionAuthorizer(config).authorize(token, settings)).rejects.toThrow(expect.objectContaining({
+      reason: 'authorization_unavailable',
+      message: 'Authorization service failed: timed out after 200ms'
+    }));
+  });
+
+  test('should let connections through unchanged when failing open', async () => {
+    respond = (req, body, res) => reply(res, 500, { error: 'boom' });
+
+    const authorizer = new ConnectionAuthorizer({ ...config, authorize_failure_policy: 'allow' });
+
+    expect(await authorizer.authorize(token, settings)).toBeNull();
+  });
+
+  test('should treat responses that change the target as failures', async () => {
+    respond = (req, body, res) => reply(res, 200, { allow: true, params: { hostname: 'elsewhere' } });
+
+    await expect(new ConnectionAuthorizer(config).authorize(token, settings))
+      .rejects.toThrow('Authorization service failed: response cannot change hostname');
+
+    respond = (req, body, res) => reply(res, 200, { allow: true, params: { 'sftp-hostname': 'elsewhere' } });
+    await expect(new ConnectionAuthorizer(config).authorize(token, settings))
+      .rejects.toThrow('response cannot change sftp-hostname');
+  });
+
+  test('should require a boolean allow field', () => {
+    expect(() => ConnectionAuthorizer.parseDecision({ allow: 'yes' })).toThrow('response has no boolean allow field');
+    expect(() => ConnectionAuthorizer.parseDecision({ allow: true, recording: 'on' })).toThrow('recording must be a boolean');
+  });
+});
@@ -0,0 +1,74 @@
+const ConnectionProfiles = require('../lib/connection-profiles');
+
+describe('ConnectionProfiles', () => {
+  let config;
+  let profiles;
+
+  beforeEach(() => {
+    config = {
+      unencrypted_params: ['width', 'height'],
+      profiles: {
+        'linux-base': { protocol: 'ssh', port: 22, 'color-scheme': 'gray-black', token_params: ['username'] },
+        'prod-jumpbox': { extends: 'linux-base', hostname: 'jump.prod.example.com', token_params: ['username', 'password'] }
+      }
+    };
+    profiles = new ConnectionProfiles(config);
+  });
+
+  describe('resolve()', () => {
+    test('should merge parent profiles under the child', () => {
+      expect(ConnectionProfiles.resolve(config.profiles, 'prod-jumpbox')).toEqual({
+        extends: 'linux-base',
+        protocol: 'ssh',
+        port: 22,
+        'color-scheme': 'gray-black',
+        hostname: 'jump.prod.example.com',
+        token_params: ['username', 'password']
+      });
+    });
+
+    test('should reject unknown parents and cycles', () => {
+      expect(() => ConnectionProfiles.resolve({ a: { extends: 'missing' } }, 'a'))
+        .toThrow("Profile 'a' extends unknown profile 'missing'");
+      expect(() => ConnectionProfiles.validate({ profiles: { a: { extends: 'b' }, b: { extends: 'a' } } }))
+        .toThrow('Profile inheritance cycle: a -> b -> a');
+    });
+  });
+
+  describe('expand()', () => {
+    test('should fill the token from the profile', () => {
+      const token = { profile: 'prod-jumpbox', username: 'alice', width: 1280, meta: { userId: 'alice' }, expiration: 1 };
+
+      expect(profiles.expand(token)).toEqual({
+        protocol: 'ssh',
+        port: 22,
+        'color-scheme': 'gray-black',
+        hostname: 'jump.prod.example.com',
+        profile: 'prod-jumpbox',
+        username: 'alice',
+        width: 1280,
+        meta: { userId: 'alice' },
+        expiration: 1
+      });
+    });
+
+    test('should reject parameters the profile does not allow', () => {
+      expect(() => profiles.expand({ profile: 'prod-jumpbox', hostname: 'evil.example.com', port: 2222 }))
+        .toThrow(expect.objectContaining({
+          reason: 'profile_param_not_allowed',
+          message: "Profile 'prod-jumpbox' does not allow the token to set: hostname, port"
+        }));
+    });
+
+    test('should reject unknown profiles', () => {
+      expect(() => profiles.expand({ profile: 'staging' })).toThrow(expect.objectContaining({ reason: 'profile_unknown' }));
+    });
+
+    test('should pick up changed profiles after updateConfig()', () => {
+      profiles.getProfile('prod-jumpbox');
+      profiles.updateConfig({ profiles: { 'prod-jumpbox': { hostname: 'jump2.prod.example.com' } } });
+
+      expect(profiles.expand({ profile: 'prod-jumpbox' }).hostname).toBe('jump2.prod.example.com');
+    });
+  });
+});
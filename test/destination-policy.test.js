@@ -0,0 +1,172 @@
+const dns = require('dns');
+const DestinationPolicy = require('../lib/destination-policy');
+
+describe('DestinationPolicy', () => {
+  let config;
+  let policy;
+
+  beforeEach(() => {
+    config = {
+      destination_policy_enable: true,
+      destinations: {
+        all: {
+          allow_cidrs: ['10.20.0.0/16'],
+          deny_cidrs: ['10.20.99.0/24', '169.254.0.0/16'],
+          allow_hosts: '*.desktops.example.com',
+          deny_hosts: 'admin.desktops.example.com'
+        },
+        rdp: { allow_ports: 3389 },
+        ssh: { allow_ports: ['22', '2200-2299'] }
+      }
+    };
+    policy = new DestinationPolicy(config);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reasonOf = promise => promise.then(() => null, error => error.reason);
+
+  describe('check()', () => {
+    test('should allow addresses inside allow_cidrs', async () => {
+      await expect(policy.check('rdp', '10.20.1.5', 3389)).resolves.toEqual({
+        hostname: '10.20.1.5',
+        port: 3389,
+        addresses: ['10.20.1.5']
+      });
+    });
+
+    test('should let deny_cidrs win over allow_cidrs', async () => {
+      expect(await reasonOf(policy.check('rdp', '10.20.99.5', 3389))).toBe('destination_denied');
+    });
+
+    test('should reject addresses outside the allow lists', async () => {
+      expect(await reasonOf(policy.check('rdp', '192.168.1.1', 3389))).toBe('destination_not_allowed');
+    });
+
+    test('should match hostname globs', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '192.0.2.10', family: 4 }]);
+
+      await expect(policy.check('rdp', 'PC-1.desktops.example.com', 3389)).resolves.toBeDefined();
+      expect(await reasonOf(policy.check('rdp', 'admin.desktops.example.com', 3389))).toBe('destination_denied');
+      expect(await reasonOf(policy.check('rdp', 'a.b.desktops.example.com', 3389))).toBe('destination_not_allowed');
+    });
+
+    test('should enforce per-protocol port ranges and default ports', async () => {
+      await expect(policy.check('ssh', '10.20.1.5', 2250)).resolves.toBeDefined();
+      await expect(policy.check('ssh', '10.20.1.5')).resolves.toMatchObject({ port: 22 });
+      expect(await reasonOf(policy.check('ssh', '10.20.1.5', 3389))).toBe('destination_port_not_allowed');
+      expect(await reasonOf(policy.check('rdp', '10.20.1.5', 22))).toBe('destination_port_not_allowed');
+    });
+
+    test('should reject tokens without a hostname', async () => {
+      expect(await reasonOf(policy.check('rdp', undefined, 3389))).toBe('destination_missing');
+    });
+
+    test('should check every resolved address when DNS resolution is on', async () => {
+      config.destination_resolve_dns = true;
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+        { address: '10.20.1.5', family: 4 },
+        { address: '169.254.169.254', family: 4 }
+      ]);
+
+      expect(await reasonOf(policy.check('rdp', 'pc-1.desktops.example.com', 3389))).toBe('destination_denied');
+    });
+
+    test('should allow names resolving only to allowed addresses', async () => {
+      config.destination_resolve_dns = true;
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '10.20.1.7', family: 4 }]);
+
+      await expect(policy.check('rdp', 'server.example.org', 3389)).resolves.toMatchObject({
+        addresses: ['10.20.1.7']
+      });
+    });
+
+    test('should reject names that cannot be resolved', async () => {
+      config.destination_resolve_dns = true;
+      jest.spyOn(dns.promises, 'lookup').mockRejectedValue(new Error('ENOTFOUND'));
+
+      expect(await reasonOf(policy.check('rdp', 'missing.example.org', 3389))).toBe('destination_unresolved');
+    });
+
+    test('should resolve names whenever CIDR rules apply', async () => {
+      const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+      config.destinations.all.deny_cidrs = ['127.0.0.0/8'];
+
+      expect(await reasonOf(policy.check('rdp', 'localhost', 3389))).toBe('destination_denied');
+      expect(await reasonOf(policy.check('rdp', 'pc-1.desktops.example.com.', 3389))).toBe('destination_denied');
+      expect(lookup).toHaveBeenCalledWith('localhost', expect.anything());
+    });
+
+    test('should not resolve names without CIDR rules or DNS resolution', async () => {
+      const lookup = jest.spyOn(dns.promises, 'lookup');
+      config.destinations = { all: { allow_hosts: '*.desktops.example.com' } };
+
+      await expect(policy.check('rdp', 'pc-1.desktops.example.com', 3389)).resolves.toMatchObject({ addresses: [] });
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    test('should treat numeric and shorthand IPv4 forms as addresses', async () => {
+      const lookup = jest.spyOn(dns.promises, 'lookup');
+      config.destinations.all.deny_cidrs = ['127.0.0.0/8', '169.254.0.0/16'];
+
+      for (const host of ['127.1', '2130706433', '0x7f000001', '0177.0.0.1', '0251.0376.0251.0376']) {
+        expect(await reasonOf(policy.check('rdp', host, 3389))).toBe('destination_denied');
+      }
+      expect(await reasonOf(policy.check('rdp', '0xA.20.0x1.05', 3389))).toBeNull();
+      expect(lookup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkToken()', () => {
+    const rdp = extra => ({ protocol: 'rdp', hostname: '10.20.1.5', port: 3389, ...extra });
+
+    test('should check SFTP, gateway and repeater targets as well', async () => {
+      config.destinations.rdp.allow_ports = ['3389', '443'];
+
+      await expect(policy.checkToken(rdp({ 'sftp-hostname': '10.20.1.6', 'gateway-hostname': '10.20.1.7' })))
+        .resolves.toMatchObject({ hostname: '10.20.1.5' });
+      expect(await reasonOf(policy.checkToken(rdp({ 'sftp-hostname': '169.254.169.254' })))).toBe('destination_denied');
+      expect(await reasonOf(policy.checkToken(rdp({ 'gateway-hostname': '192.168.1.1' })))).toBe('destination_not_allowed');
+      expect(await reasonOf(policy.checkToken({ protocol: 'vnc', hostname: '10.20.1.5', 'dest-host': '10.20.99.1' }))).toBe('destination_denied');
+    });
+
+    test('should check secondary ports with the rules of their protocol', async () => {
+      await expect(policy.checkToken(rdp({ 'enable-sftp': 'true' }))).resolves.toBeDefined();
+      expect(await reasonOf(policy.checkToken(rdp({ 'enable-sftp': true, 'sftp-port': 3389 })))).toBe('destination_port_not_allowed');
+      expect(await reasonOf(policy.checkToken(rdp({ 'gateway-hostname': '10.20.1.7' })))).toBe('destination_port_not_allowed');
+    });
+
+    test('should name the parameter that was refused', async () => {
+      await expect(policy.checkToken(rdp({ 'sftp-hostname': '169.254.169.254' })))
+        .rejects.toThrow('sftp-hostname: Destination 169.254.169.254 (169.254.169.254) is denied');
+    });
+  });
+
+  describe('parseIPv4()', () => {
+    test('should normalize the forms inet_aton() accepts', () => {
+      expect(DestinationPolicy.parseIPv4('127.1')).toBe('127.0.0.1');
+      expect(DestinationPolicy.parseIPv4('10.65535')).toBe('10.0.255.255');
+      expect(DestinationPolicy.parseIPv4('10.1.65536')).toBeNull();
+      expect(DestinationPolicy.parseIPv4('0')).toBe('0.0.0.0');
+      expect(DestinationPolicy.parseIPv4('4294967295')).toBe('255.255.255.255');
+      expect(DestinationPolicy.parseIPv4('4294967296')).toBeNull();
+      expect(DestinationPolicy.parseIPv4('0251.0376.0251.0376')).toBe('169.254.169.254');
+      expect(DestinationPolicy.parseIPv4('08.0.0.1')).toBeNull();
+      expect(DestinationPolicy.parseIPv4('1.2.3.4.5')).toBeNull();
+      expect(DestinationPolicy.parseIPv4('server1')).toBeNull();
+    });
+  });
+
+  describe('validate()', () => {
+    test('should reject unknown keys, bad CIDRs and bad port ranges', () => {
+      expect(() => DestinationPolicy.validate({ destinations: { rdp: { allow: '10.0.0.0/8' } } }))
+        .toThrow("Unknown key 'allow' in [destinations.rdp]");
+      expect(() => DestinationPolicy.validate({ destinations: { rdp: { deny_cidrs: '10.0.0.0/99' } } }))
+        .toThrow('Invalid IP address or CIDR');
+      expect(() => DestinationPolicy.validate({ destinations: { rdp: { allow_ports: '5000-4000' } } }))
+        .toThrow('Invalid port or port range: 5000-4000');
+    });
+  });
+});
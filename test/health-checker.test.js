@@ -0,0 +1,170 @@
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HealthChecker = require('../lib/health-checker');
+
+function startFakeGuacd(reply) {
+  return new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      socket.on('data', () => {
+        if (reply) socket.write(reply);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('HealthChecker', () => {
+  let config;
+  let tempDir;
+  let guacd;
+  let s3Uploader;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+    s3Uploader = { testConnection: jest.fn().mockResolvedValue(true) };
+    config = {
+      guacd_host: '127.0.0.1',
+      guacd_port: 1,
+      recordings_path: tempDir,
+      recordings_storage: 'local',
+      health_check_timeout: 500
+    };
+  });
+
+  afterEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (guacd) {
+      await new Promise(resolve => guacd.close(resolve));
+      guacd = null;
+    }
+  });
+
+  describe('checkGuacd()', () => {
+    test('should pass when guacd answers the handshake', async () => {
+      guacd = await startFakeGuacd('4.args,13.VERSION_1_5_0,8.hostname;');
+      config.guacd_port = guacd.address().port;
+
+      const checker = new HealthChecker(config, s3Uploader);
+
+      await expect(checker.checkGuacd()).resolves.toMatchObject({
+        message: expect.stringContaining('completed handshake')
+      });
+    });
+
+    test('should fail on an error response', async () => {
+      guacd = await startFakeGuacd('5.error,11.Unsupported,3.519;');
+      config.guacd_port = guacd.address().port;
+
+      const checker = new HealthChecker(config, s3Uploader);
+
+      await expect(checker.checkGuacd()).rejects.toThrow('Unexpected guacd handshake response');
+    });
+
+    test('should time out when guacd stays silent', async () => {
+      guacd = await startFakeGuacd(null);
+      config.guacd_port = guacd.address().port;
+      config.health_check_timeout = 50;
+
+      const checker = new HealthChecker(config, s3Uploader);
+
+      await expect(checker.checkGuacd()).rejects.toThrow('timed out');
+    });
+  });
+
+  describe('checkRecordingsPath()', () => {
+    test('should pass for a writable directory', async () => {
+      const checker = new HealthChecker(config, s3Uploader);
+
+      await expect(checker.checkRecordingsPath()).resolves.toMatchObject({
+        message: `${tempDir} is writable`
+      });
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+
+    test('should fail for a missing directory', async () => {
+      config.recordings_path = path.join(tempDir, 'missing');
+      const checker = new HealthChecker(config, s3Uploader);
+
+      await expect(checker.checkRecordingsPath()).rejects.toThrow('ENOENT');
+    });
+  });
+
+  describe('checkS3()', () => {
+    test('should be skipped for local storage', async () => {
+      const checker = new HealthChecker(config, s3Uploader);
+
+      await expect(checker.checkS3()).resolves.toMatchObject({ skipped: true });
+      expect(s3Uploader.testConnection).not.toHaveBeenCalled();
+    });
+
+    test('should fail when the S3 connection test fails', async () => {
+      config.recordings_storage = 's3';
+      s3Uploader.testConnection.mockResolvedValue(false);
+      const checker = new HealthChecker(config, s3Uploader);
+
+      await expect(checker.checkS3()).rejects.toThrow('S3 connection test failed');
+    });
+  });
+
+  describe('getReadiness()', () => {
+    test('should report each check separately', async () => {
+      guacd = await startFakeGuacd('4.args,8.hostname;');
+      config.guacd_port = guacd.address().port;
+      const checker = new HealthChecker(config, s3Uploader);
+
+      const readiness = await checker.getReadiness();
+
+      expect(readiness.status).toBe('ok');
+      expect(readiness.checks.guacd.status).toBe('ok');
+      expect(readiness.checks.recordings_path.status).toBe('ok');
+      expect(readiness.checks.s3.status).toBe('skipped');
+      expect(readiness.checks.guacd).toHaveProperty('checkedAt');
+      expect(readiness.checks.guacd).toHaveProperty('durationMs');
+    });
+
+    test('should fail when any check fails', async () => {
+      const checker = new HealthChecker(config, s3Uploader);
+
+      const readiness = await checker.getReadiness();
+
+      expect(readiness.status).toBe('fail');
+      expect(readiness.checks.guacd.status).toBe('fail');
+      expect(readiness.checks.recordings_path.status).toBe('ok');
+    });
+
+    test('should cache check results', async () => {
+      const checker = new HealthChecker(config, s3Uploader);
+      const check = jest.fn().mockResolvedValue({});
+      checker.checks.clear();
+      checker.addCheck('custom', check);
+
+      await checker.getReadiness();
+      await checker.getReadiness();
+
+      expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-run checks when caching is disabled', async () => {
+      config.health_cache_ttl = 0;
+      const checker = new HealthChecker(config, s3Uploader);
+      const check = jest.fn().mockResolvedValue({});
+      checker.checks.clear();
+      checker.addCheck('custom', check);
+
+      await checker.getReadiness();
+      await checker.getReadiness();
+
+      expect(check).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getLiveness()', () => {
+    test('should report ok with uptime', () => {
+      const checker = new HealthChecker(config, s3Uploader);
+
+      expect(checker.getLiveness()).toEqual({ status: 'ok', uptimeSeconds: expect.any(Number) });
+    });
+  });
+});
@@ -0,0 +1,498 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GuacamoleLiteServer = require('../lib/index');
+const Keyring = require('../lib/keyring');
+
+const SECRET_KEY = 'MySuperSecretKeyForParamsToken12';
+const ACME_KEY = 'AcmeTenantSecretKeyForTokens1234';
+
+describe('GuacamoleLiteServer', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'guacamole-lite-server-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function writeConfig(settings = '') {
+    const configPath = path.join(directory, 'config.ini');
+    fs.writeFileSync(configPath, [
+      'websocket_port = 8080',
+      'guacd_host = 127.0.0.1',
+      'guacd_port = 4822',
+      `secret_key = ${SECRET_KEY}`,
+      settings
+    ].join('\n'));
+    return configPath;
+  }
+
+  function createServer(settings = '') {
+    return new GuacamoleLiteServer(writeConfig(settings));
+  }
+
+  function addSession(server, connectionId, token) {
+    const connection = {
+      connectionId,
+      sessionId: `session-${connectionId}`,
+      startedAt: new Date(Date.now() - connectionId * 1000).toISOString(),
+      token,
+      close: jest.fn()
+    };
+    server.connections.set(connectionId, connection);
+    return connection;
+  }
+
+  const encrypt = (settings, secretKey = SECRET_KEY) => new Keyring({ secret_key: secretKey }).encrypt(settings);
+
+  const rdp = (extra = {}) => ({ protocol: 'rdp', hostname: '10.0.0.5', port: 3389, meta: { userId: 'alice' }, ...extra });
+
+  describe('processConnectionSettings()', () => {
+    const policies = `
+client_ip_deny = 203.0.113.0/24
+token_expiration_check = true
+destination_policy_enable = true
+
+[destinations.all]
+deny_cidrs = 10.0.0.0/8
+
+[locked.rdp]
+security = nla
+`;
+
+    const reasonOf = promise => promise.then(() => null, error => error.reason);
+
+    test('should report the first failing check', async () => {
+      const server = createServer(policies);
+      const expired = Date.now() - 1000;
+      const denied = rdp({ expiration: expired, security: 'rdp' });
+
+      expect(await reasonOf(server.processConnectionSettings({ ...denied }, { clientIp: '203.0.113.9' }))).toBe('ip_denied');
+      expect(await reasonOf(server.processConnectionSettings({ ...denied }, { clientIp: '198.51.100.9' }))).toBe('expired');
+      expect(await reasonOf(server.processConnectionSettings(rdp({ security: 'rdp' }), { clientIp: '198.51.100.9' }))).toBe('destination_denied');
+      expect(await reasonOf(server.processConnectionSettings(rdp({ hostname: '192.0.2.5', security: 'rdp' }), { clientIp: '198.51.100.9' }))).toBe('param_locked');
+      expect(await reasonOf(server.processConnectionSettings(rdp({ hostname: '192.0.2.5', schedule: 'nights' }), { clientIp: '198.51.100.9' }))).toBe('schedule_unknown');
+      expect(await reasonOf(server.processConnectionSettings(rdp({ hostname: '192.0.2.5' }), {}))).toBe('client_ip_unknown');
+
+      server.draining = true;
+      expect(await reasonOf(server.processConnectionSettings({ ...denied }, { clientIp: '203.0.113.9' }))).toBe('draining');
+    });
+
+    test('should check every target a token names', async () => {
+      const server = createServer(policies);
+
+      await expect(server.processConnectionSettings(rdp({ hostname: '192.0.2.5', 'sftp-hostname': '10.0.0.9' }), { clientIp: '198.51.100.9' }))
+        .rejects.toMatchObject({ reason: 'destination_denied' });
+    });
+
+    test('should not ask the authorization service about a refused token', async () => {
+      const server = createServer(`${policies}\nauthorize_url = http://127.0.0.1:9/authorize`);
+      const authorize = jest.spyOn(server.authorizer, 'authorize');
+
+      await expect(server.processConnectionSettings(rdp({ hostname: '192.0.2.5', security: 'rdp' }), { clientIp: '198.51.100.9' }))
+        .rejects.toMatchObject({ reason: 'param_locked' });
+
+      expect(authorize).not.toHaveBeenCalled();
+    });
+
+    test('should report every rejection with its reason', async () => {
+      const server = createServer(policies);
+      const rejected = jest.spyOn(server.webhookManager, 'sendConnectionRejected');
+
+      await expect(server.processConnectionSettings(rdp(), { clientIp: '198.51.100.9' }))
+        .rejects.toMatchObject({ reason: 'destination_denied' });
+
+      expect(rejected).toHaveBeenCalledWith('destination_denied', expect.objectContaining({
+        clientIp: '198.51.100.9',
+        hostname: '10.0.0.5',
+        meta: { userId: 'alice' }
+      }));
+      expect(server.metrics.render()).toMatch(/token_rejections_total\{[^}]*reason="destination_denied"[^}]*\} 1/);
+    });
+
+    test('should refuse and count tokens once the replay cache is full', async () => {
+      const server = createServer('token_replay_protection = true\ntoken_replay_max_entries = 1');
+      await server.processConnectionSettings(rdp({ nonce: 'a' }), {});
+
+      await expect(server.processConnectionSettings(rdp({ nonce: 'b' }), {}))
+        .rejects.toMatchObject({ reason: 'replay_cache_full' });
+      expect(server.metrics.render()).toMatch(/token_rejections_total\{[^}]*reason="replay_cache_full"[^}]*\} 1/);
+    });
+  });
+
+  describe('client address', () => {
+    test('should refuse to start when guacamole-lite cannot provide the client address', async () => {
+      const server = createServer('client_ip_deny = 203.0.113.0/24\nrate_limit_enable = true');
+
+      await expect(server.start()).rejects.toThrow('client_ip_deny, rate_limit_enable need the client address');
+    });
+
+    test('should refuse to start when guacamole-lite does not call decryptToken', async () => {
+      const keys = createServer('[keys.2025q2]\nsecret = RotatedSecretKeyForTokens1234567');
+      await expect(keys.start()).rejects.toThrow('[keys.*] need guacamole-lite to call decryptToken');
+
+      const jwt = createServer('token_format = jwt\njwt_secret = jwt-secret');
+      await expect(jwt.start()).rejects.toThrow('token_format = jwt need guacamole-lite to call decryptToken');
+
+      const tenants = createServer(`[tenants.acme]\ntoken_prefix = acme\nsecret_key = ${ACME_KEY}`);
+      expect(tenants.getDecryptTokenFeatures()).toEqual(['tenants']);
+      await expect(tenants.start()).rejects.toThrow('tenants need guacamole-lite to call decryptToken');
+
+      expect(createServer().getDecryptTokenFeatures()).toEqual([]);
+    });
+
+    test('should refuse tokens without a client address when the rules need one', () => {
+      const server = createServer(`rate_limit_enable = true\n[tenants.acme]\nhosts = acme.example.com\nsecret_key = ${ACME_KEY}`);
+
+      expect(server.getClientAddressFeatures()).toEqual(['rate_limit_enable', 'tenants.acme.hosts']);
+      expect(() => server.decryptToken(encrypt(rdp()))).toThrow(expect.objectContaining({ reason: 'client_ip_unknown' }));
+      expect(server.decryptToken(encrypt(rdp()), { clientIp: '198.51.100.9' }).hostname).toBe('10.0.0.5');
+      expect(createServer().decryptToken(encrypt(rdp())).hostname).toBe('10.0.0.5');
+    });
+
+    test('should only accept the request-passing guacamole-lite contract', () => {
+      expect(GuacamoleLiteServer.providesRequestContext(class { constructor(options) {} })).toBe(true);
+      expect(GuacamoleLiteServer.providesRequestContext(class { constructor(wsOptions, guacdOptions, clientOptions, callbacks) {} })).toBe(false);
+    });
+  });
+
+  describe('session events', () => {
+    test('should keep handling a session when the audit log cannot be written', async () => {
+      const server = createServer('max_session_duration = 60000');
+      jest.spyOn(server.auditLog, 'record').mockImplementation(() => { throw new Error('ENOSPC'); });
+      const session = addSession(server, 1, rdp());
+
+      await expect(server.handleSessionOpen(session, 'session-1')).resolves.toBeUndefined();
+      expect(session.expiresAt).toBeDefined();
+
+      await expect(server.handleSessionClose(session, 'session-1')).resolves.toBeUndefined();
+      expect(server.connections.has(1)).toBe(false);
+      expect(server.sessionTimer.timers.size).toBe(0);
+    });
+  });
+
+  describe('audit failures', () => {
+    let server;
+
+    beforeEach(() => {
+      server = createServer('max_session_duration = 50\nrate_limit_enable = true\nlockout_threshold = 1');
+      jest.spyOn(server.auditLog, 'record').mockImplementation(() => { throw new Error('ENOSPC'); });
+    });
+
+    afterEach(() => server.sessionTimer.clearAll());
+
+    test('should still close a session at its limit', async () => {
+      const session = addSession(server, 1, rdp());
+
+      server.scheduleSessionExpiry(session, 'session-1');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(session.close).toHaveBeenCalled();
+    });
+
+    test('should not throw from the connection error listener', () => {
+      const session = addSession(server, 1, rdp());
+
+      expect(() => server.handleConnectionError(session, new Error('Token validation failed'))).not.toThrow();
+      expect(server.connections.has(1)).toBe(false);
+    });
+
+    test('should report the decryption failure rather than the audit error', () => {
+      expect(() => server.decryptToken('garbage', { clientIp: '198.51.100.9' }))
+        .toThrow(expect.objectContaining({ reason: 'decryption_failed' }));
+      expect(server.rateLimiter.getLockout('198.51.100.9')).toBeTruthy();
+    });
+  });
+
+  describe('stop()', () => {
+    test('should refuse new connections and close sessions left after the grace period', async () => {
+      const server = createServer('shutdown_grace_period = 50');
+      const session = addSession(server, 1, rdp());
+      session.close.mockImplementation(() => server.connections.delete(1));
+
+      const stopping = server.stop();
+      await expect(server.processConnectionSettings(rdp(), { connectionId: 2 }))
+        .rejects.toMatchObject({ reason: 'draining' });
+      await stopping;
+
+      expect(session.close).toHaveBeenCalled();
+      expect(server.connections.size).toBe(0);
+    });
+
+    test('should leave sessions that end within the grace period alone', async () => {
+      const server = createServer('shutdown_grace_period = 5000');
+      const session = addSession(server, 1, rdp());
+
+      const stopping = server.stop();
+      server.connections.delete(1);
+      await stopping;
+
+      expect(session.close).not.toHaveBeenCalled();
+    });
+
+    test('should wait for closing sessions to finish', async () => {
+      const server = createServer('shutdown_grace_period = 50');
+      let finish;
+      server.pendingCloses.add(new Promise(resolve => { finish = resolve; }));
+      let stopped = false;
+
+      const stopping = server.stop().then(() => { stopped = true; });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(stopped).toBe(false);
+
+      finish();
+      await stopping;
+      expect(stopped).toBe(true);
+    });
+  });
+
+  describe('tenants', () => {
+    const tenants = `
+[tenants.acme]
+token_prefix = acme
+secret_key = ${ACME_KEY}
+
+[profiles.jump]
+protocol = ssh
+hostname = jump.internal
+port = 22
+`;
+
+    test('should not open a tenant token with the global key', () => {
+      const server = createServer(tenants);
+
+      expect(() => server.decryptToken(`acme:${encrypt(rdp())}`)).toThrow(expect.objectContaining({ reason: 'decryption_failed' }));
+      expect(server.decryptToken(encrypt(rdp())).tenant).toBeUndefined();
+    });
+
+    test('should report a tenant token that fails to decrypt to that tenant only', () => {
+      const server = createServer(tenants);
+      const acme = jest.spyOn(server.getTenant('acme').webhookManager, 'sendConnectionRejected');
+      const global = jest.spyOn(server.webhookManager, 'sendConnectionRejected');
+      const session = addSession(server, 1);
+
+      let error;
+      try {
+        server.decryptToken(`acme:${encrypt(rdp())}`);
+      } catch (caught) {
+        error = caught;
+      }
+      server.handleConnectionError(session, error);
+
+      expect(acme).toHaveBeenCalledWith('decryption_failed', expect.objectContaining({ tenant: 'acme' }));
+      expect(global).not.toHaveBeenCalled();
+      expect(server.metrics.render()).toMatch(/token_rejections_total\{[^}]*tenant="acme"[^}]*\} 1/);
+    });
+
+    test('should keep a removed tenant until its last session ends', async () => {
+      const server = createServer(tenants);
+      const { webhookManager } = server.getTenant('acme');
+      const session = addSession(server, 1, rdp({ tenant: 'acme' }));
+      session.startedAt = new Date();
+      writeConfig();
+
+      server.reloadConfig();
+
+      expect(server.getTenant('acme').webhookManager).toBe(webhookManager);
+      expect(server.tenants.has('acme')).toBe(false);
+
+      const ended = jest.spyOn(webhookManager, 'sendSessionEnded');
+      await server.handleSessionClose(session, 'session-1');
+
+      expect(ended).toHaveBeenCalled();
+      expect(server.getTenant('acme').id).toBeNull();
+    });
+
+    test('should only resolve secrets in the tenant namespace', async () => {
+      fs.mkdirSync(path.join(directory, 'secrets', 'acme'), { recursive: true });
+      fs.mkdirSync(path.join(directory, 'secrets', 'globex'));
+      fs.writeFileSync(path.join(directory, 'secrets', 'acme', 'rdp'), 'acme-password');
+      fs.writeFileSync(path.join(directory, 'secrets', 'globex', 'rdp'), 'globex-password');
+      const server = createServer(`secrets_provider = directory\nsecrets_dir = ${path.join(directory, 'secrets')}\n${tenants}`);
+
+      const own = server.decryptToken(`acme:${encrypt(rdp({ password: 'secret://rdp' }), ACME_KEY)}`);
+      expect((await server.processConnectionSettings(own, { connectionId: 1 })).password).toBe('acme-password');
+
+      for (const reference of ['secret://globex/rdp', 'secret://../globex/rdp']) {
+        const other = server.decryptToken(`acme:${encrypt(rdp({ password: reference }), ACME_KEY)}`);
+        await expect(server.processConnectionSettings(other, { connectionId: 2 }))
+          .rejects.toMatchObject({ reason: 'secret_unavailable' });
+      }
+    });
+
+    test('should only expand the tenant own profiles', async () => {
+      const server = createServer(`${tenants}\n[tenants.acme.profiles.mine]\nprotocol = ssh\nhostname = acme-jump.internal\nport = 22`);
+      const token = profile => server.decryptToken(`acme:${encrypt({ profile, meta: { userId: 'alice' } }, ACME_KEY)}`);
+
+      const own = token('mine');
+      const settings = await server.processConnectionSettings(own, { connectionId: 1 });
+      expect(own.tenant).toBe('acme');
+      expect(settings).toEqual(expect.objectContaining({ protocol: 'ssh', hostname: 'acme-jump.internal' }));
+
+      await expect(server.processConnectionSettings(token('jump'), { connectionId: 2 }))
+        .rejects.toMatchObject({ reason: 'profile_unknown' });
+      await expect(server.processConnectionSettings({ profile: 'mine', meta: { userId: 'alice' } }, { connectionId: 3 }))
+        .rejects.toMatchObject({ reason: 'profile_unknown' });
+    });
+
+    test('should check tenant tokens against the tenant destinations and schedules', async () => {
+      const server = createServer(`destination_policy_enable = true
+${tenants}
+[destinations.all]
+allow_cidrs = 10.0.0.0/8
+[tenants.acme.destinations.all]
+allow_cidrs = 192.0.2.0/24
+[tenants.acme.schedules.office]
+days = mon-sun
+`);
+      const token = extra => server.decryptToken(`acme:${encrypt(rdp(extra), ACME_KEY)}`);
+
+      await expect(server.processConnectionSettings(token(), { connectionId: 1 }))
+        .rejects.toMatchObject({ reason: 'destination_not_allowed' });
+      await expect(server.processConnectionSettings(token({ hostname: '192.0.2.5', schedule: 'office' }), { connectionId: 2 }))
+        .resolves.toMatchObject({ hostname: '192.0.2.5' });
+      await expect(server.processConnectionSettings(rdp({ schedule: 'office' }), { connectionId: 3 }))
+        .rejects.toMatchObject({ reason: 'schedule_unknown' });
+    });
+  });
+
+  describe('reloadConfig()', () => {
+    test('should apply reloadable keys and keep services with state', async () => {
+      const server = createServer('max_sessions_per_user = 1');
+      const { webhookManager, replayCache } = server;
+      writeConfig('max_sessions_per_user = 2\nguacd_port = 4823\n[defaults.rdp]\nsecurity = nla');
+
+      expect(server.reloadConfig()).toEqual({
+        applied: ['defaults.rdp.security', 'max_sessions_per_user'],
+        restartRequired: ['guacd_port']
+      });
+
+      expect((await server.processConnectionSettings(rdp(), { connectionId: 1 })).security).toBe('nla');
+      expect(server.sessionLimiter.config.max_sessions_per_user).toBe(2);
+      expect(server.config.guacd_port).toBe(4822);
+      expect(server.webhookManager).toBe(webhookManager);
+      expect(server.replayCache).toBe(replayCache);
+    });
+
+    test('should change nothing when the new configuration cannot be applied', async () => {
+      const server = createServer('max_sessions_per_user = 1');
+      const { config, keyring } = server;
+      writeConfig([
+        'max_sessions_per_user = 2',
+        `jwt_public_key_path = ${path.join(directory, 'missing.pem')}`,
+        '[defaults.rdp]',
+        'security = nla'
+      ].join('\n'));
+
+      expect(() => server.reloadConfig()).toThrow('ENOENT');
+
+      expect(server.config).toBe(config);
+      expect(server.keyring).toBe(keyring);
+      expect(server.sessionLimiter.config.max_sessions_per_user).toBe(1);
+      expect((await server.processConnectionSettings(rdp(), { connectionId: 1 })).security).toBeUndefined();
+    });
+
+    test('should rebuild tenant keys but keep their webhook queues', () => {
+      const tenant = `[tenants.acme]\ntoken_prefix = acme\nsecret_key = ${ACME_KEY}`;
+      const server = createServer(tenant);
+      const { webhookManager } = server.getTenant('acme');
+      writeConfig(`[tenants.acme]\ntoken_prefix = acme\nsecret_key = AcmeRotatedSecretKeyForTokens123`);
+
+      server.reloadConfig();
+
+      expect(server.getTenant('acme').webhookManager).toBe(webhookManager);
+      expect(() => server.decryptToken(`acme:${encrypt(rdp(), ACME_KEY)}`)).toThrow(expect.objectContaining({ reason: 'decryption_failed' }));
+      expect(server.decryptToken(`acme:${encrypt(rdp(), 'AcmeRotatedSecretKeyForTokens123')}`).tenant).toBe('acme');
+    });
+  });
+
+  describe('session limits', () => {
+    const limits = `
+max_sessions_per_user = 1
+session_limit_policy = evict_oldest
+token_replay_protection = true
+`;
+
+    test('should evict the oldest session once the connection is accepted', async () => {
+      const server = createServer(limits);
+      const victim = addSession(server, 1, rdp());
+
+      await server.processConnectionSettings(rdp({ nonce: 'first' }), { connectionId: 2 });
+
+      expect(victim.close).toHaveBeenCalled();
+      expect(victim.evicted).toBe(true);
+    });
+
+    test('should not evict anyone for a replayed token', async () => {
+      const server = createServer(limits);
+      await server.processConnectionSettings(rdp({ nonce: 'used' }), { connectionId: 1 });
+      const victim = addSession(server, 1, rdp({ nonce: 'used' }));
+
+      await expect(server.processConnectionSettings(rdp({ nonce: 'used' }), { connectionId: 2 }))
+        .rejects.toMatchObject({ reason: 'replayed' });
+
+      expect(victim.close).not.toHaveBeenCalled();
+      expect(victim.evicted).toBeUndefined();
+    });
+
+    test('should hold the slot of a handshake that has not opened yet', async () => {
+      const server = createServer('max_sessions_per_target = 1');
+
+      const results = await Promise.allSettled([
+        server.processConnectionSettings(rdp(), { connectionId: 1 }),
+        server.processConnectionSettings(rdp(), { connectionId: 2 })
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.reason).toBe('session_limit_target');
+    });
+
+    test('should release the slot when the session ends', async () => {
+      const server = createServer('max_sessions_per_target = 1');
+      await server.processConnectionSettings(rdp(), { connectionId: 1 });
+      await expect(server.processConnectionSettings(rdp(), { connectionId: 2 }))
+        .rejects.toMatchObject({ reason: 'session_limit_target' });
+
+      await server.handleSessionClose({ connectionId: 1, token: rdp() }, 'session-1');
+
+      await expect(server.processConnectionSettings(rdp(), { connectionId: 3 })).resolves.toBeDefined();
+    });
+
+    test('should release the slot of a handshake refused after the check', async () => {
+      const server = createServer('max_sessions_per_target = 2\ntoken_replay_protection = true');
+      await server.processConnectionSettings(rdp({ nonce: 'a' }), { connectionId: 1 });
+      await expect(server.processConnectionSettings(rdp({ nonce: 'a' }), { connectionId: 2 }))
+        .rejects.toMatchObject({ reason: 'replayed' });
+
+      await expect(server.processConnectionSettings(rdp({ nonce: 'b' }), { connectionId: 3 })).resolves.toBeDefined();
+    });
+
+    test('should close an evicted handshake once it opens', async () => {
+      const server = createServer(limits);
+      await server.processConnectionSettings(rdp({ nonce: 'first' }), { connectionId: 1 });
+      await server.processConnectionSettings(rdp({ nonce: 'second' }), { connectionId: 2 });
+
+      const first = { connectionId: 1, token: rdp(), close: jest.fn() };
+      await server.handleSessionOpen(first, 'session-1');
+
+      expect(first.close).toHaveBeenCalled();
+      expect(first.evicted).toBe(true);
+    });
+
+    test('should reject instead of evicting with the reject policy', async () => {
+      const server = createServer('max_sessions_per_user = 1');
+      const existing = addSession(server, 1, rdp());
+
+      await expect(server.processConnectionSettings(rdp(), { connectionId: 2 }))
+        .rejects.toMatchObject({ reason: 'session_limit_user' });
+
+      expect(existing.close).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const JwtVerifier = require('../lib/jwt-verifier');
+
+function sign(header, claims, key) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode(header)}.${encode(claims)}`;
+  let signature;
+
+  if (header.alg === 'HS256') {
+    signature = crypto.createHmac('sha256', key).update(data).digest();
+  } else if (header.alg === 'ES256') {
+    signature = crypto.sign('sha256', Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' });
+  } else {
+    signature = crypto.sign('sha256', Buffer.from(data), key);
+  }
+
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+describe('JwtVerifier', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  const seconds = Math.floor(now / 1000);
+  const claims = {
+    sub: 'user-1',
+    exp: seconds + 300,
+    connection: { protocol: 'rdp', hostname: '10.0.0.5', port: 3389 }
+  };
+
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-verifier-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('verify()', () => {
+    test('should accept HS256 tokens signed with jwt_secret', () => {
+      const verifier = new JwtVerifier({ token_format: 'jwt', jwt_secret: 'shared-secret' });
+      const jwt = sign({ alg: 'HS256', typ: 'JWT' }, claims, 'shared-secret');
+
+      expect(verifier.isEnabled()).toBe(true);
+      expect(verifier.verify(jwt, now)).toEqual(claims);
+
+      const [header, , signature] = jwt.split('.');
+      const tampered = Buffer.from(JSON.stringify({ ...claims, sub: 'admin' })).toString('base64url');
+      expect(() => verifier.verify(`${header}.${tampered}.${signature}`, now)).toThrow('invalid signature');
+    });
+
+    test('should accept RS256 tokens signed by the configured public key', () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const keyPath = path.join(tempDir, 'public.pem');
+      fs.writeFileSync(keyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+
+      const verifier = new JwtVerifier({ jwt_public_key_path: keyPath });
+
+      expect(verifier.verify(sign({ alg: 'RS256' }, claims, privateKey), now).sub).toBe('user-1');
+    });
+
+    test('should pick the JWKS key matching the kid header for ES256 tokens', () => {
+      const first = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const second = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const jwksPath = path.join(tempDir, 'jwks.json');
+      fs.writeFileSync(jwksPath, JSON.stringify({
+        keys: [
+          { ...first.publicKey.export({ format: 'jwk' }), kid: 'one' },
+          { ...second.publicKey.export({ format: 'jwk' }), kid: 'two' }
+        ]
+      }));
+
+      const verifier = new JwtVerifier({ jwt_jwks_path: jwksPath });
+
+      expect(verifier.verify(sign({ alg: 'ES256', kid: 'two' }, claims, second.privateKey), now).sub).toBe('user-1');
+      expect(() => verifier.verify(sign({ alg: 'ES256', kid: 'one' }, claims, second.privateKey), now))
+        .toThrow(expect.objectContaining({ reason: 'invalid_signature' }));
+    });
+
+    test('should reject disallowed algorithms and malformed tokens', () => {
+      const verifier = new JwtVerifier({ jwt_secret: 'shared-secret', jwt_algorithms: ['RS256'] });
+      const jwt = sign({ alg: 'HS256' }, claims, 'shared-secret');
+
+      expect(() => verifier.verify(jwt, now)).toThrow('algorithm HS256 is not allowed');
+
+      const unsigned = jwt.replace(/^[^.]+/, Buffer.from('{"alg":"none"}').toString('base64url'));
+      expect(() => verifier.verify(unsigned, now)).toThrow('algorithm none is not allowed');
+      expect(() => verifier.verify('abc', now)).toThrow('malformed JWT');
+    });
+
+    test('should not accept an RSA public key as an HMAC secret', () => {
+      const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const pem = publicKey.export({ type: 'spki', format: 'pem' });
+      const keyPath = path.join(tempDir, 'public.pem');
+      fs.writeFileSync(keyPath, pem);
+
+      const verifier = new JwtVerifier({ jwt_public_key_path: keyPath });
+
+      expect(() => verifier.verify(sign({ alg: 'HS256' }, claims, pem), now))
+        .toThrow(expect.objectContaining({ reason: 'invalid_signature' }));
+    });
+  });
+
+  describe('validateClaims()', () => {
+    const verifier = new JwtVerifier({
+      jwt_audience: 'guacamole',
+      jwt_issuer: 'https://idp.example.com',
+      jwt_clock_tolerance: 5000
+    });
+    const valid = { aud: ['portal', 'guacamole'], iss: 'https://idp.example.com' };
+
+    test('should check exp and nbf with the clock tolerance', () => {
+      expect(() => verifier.validateClaims({ ...valid, exp: seconds - 3 }, now)).not.toThrow();
+      expect(() => verifier.validateClaims({ ...valid, exp: seconds - 10 }, now)).toThrow('JWT has expired');
+      expect(() => verifier.validateClaims({ ...valid, nbf: seconds + 10 }, now)).toThrow('not yet valid');
+    });
+
+    test('should check aud and iss', () => {
+      expect(() => verifier.validateClaims(valid, now)).not.toThrow();
+      expect(() => verifier.validateClaims({ ...valid, aud: 'other' }, now))
+        .toThrow(expect.objectContaining({ reason: 'invalid_audience' }));
+      expect(() => verifier.validateClaims({ ...valid, iss: 'https://evil.example.com' }, now))
+        .toThrow(expect.objectContaining({ reason: 'invalid_issuer' }));
+    });
+  });
+
+  describe('toToken()', () => {
+    test('should map claims into the flat token format', () => {
+      const verifier = new JwtVerifier({ jwt_claims: { username: 'preferred_username' } });
+
+      const token = verifier.toToken({ ...claims, jti: 'abc', preferred_username: 'alice' });
+
+      expect(token).toEqual({
+        protocol: 'rdp',
+        hostname: '10.0.0.5',
+        port: 3389,
+        username: 'alice',
+        jti: 'abc',
+        meta: { userId: 'user-1' },
+        expiration: (seconds + 300) * 1000
+      });
+    });
+
+    test('should read settings from top-level claims when jwt_settings_claim is empty', () => {
+      const verifier = new JwtVerifier({ jwt_settings_claim: '' });
+
+      expect(verifier.toToken({ protocol: 'ssh', hostname: 'host' }).protocol).toBe('ssh');
+    });
+
+    test('should decrypt the encrypted password claim', () => {
+      const verifier = new JwtVerifier({});
+      const decryptBlob = jest.fn().mockReturnValue('s3cret');
+
+      const token = verifier.toToken({ ...claims, password_enc: 'blob' }, decryptBlob);
+
+      expect(decryptBlob).toHaveBeenCalledWith('blob');
+      expect(token.password).toBe('s3cret');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const Keyring = require('../lib/keyring');
+
+const OLD_SECRET = 'a'.repeat(32);
+const NEW_SECRET = 'b'.repeat(32);
+
+function legacyToken(data, secret) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('AES-256-CBC', secret, iv);
+  const value = cipher.update(JSON.stringify(data), 'utf8', 'base64') + cipher.final('base64');
+
+  return Buffer.from(JSON.stringify({ iv: iv.toString('base64'), value })).toString('base64');
+}
+
+describe('Keyring', () => {
+  let keyring;
+  const token = { protocol: 'rdp', hostname: '10.0.0.5' };
+
+  beforeEach(() => {
+    keyring = new Keyring({
+      cypher: 'AES-256-CBC',
+      keys: {
+        old: { secret: OLD_SECRET, expires: '2099-01-01T00:00:00Z' },
+        new: { secret: NEW_SECRET }
+      }
+    });
+  });
+
+  describe('parseKeys()', () => {
+    test('should expose the legacy secret_key as the default key', () => {
+      keyring = new Keyring({ secret_key: OLD_SECRET });
+
+      expect(keyring.hasKeys()).toBe(true);
+      expect(keyring.describeKeys()).toEqual([{ id: 'default', expires: null, expired: false }]);
+    });
+
+    test('should let a [keys.default] section replace secret_key', () => {
+      keyring = new Keyring({ secret_key: OLD_SECRET, keys: { default: { secret: NEW_SECRET } } });
+
+      expect(keyring.keys.get('default').secret).toBe(NEW_SECRET);
+    });
+
+    test('should report no keys when none are configured', () => {
+      expect(new Keyring({}).hasKeys()).toBe(false);
+    });
+  });
+
+  describe('decrypt()', () => {
+    test('should decrypt a token with the key named by kid', () => {
+      const result = keyring.decrypt(keyring.encrypt(token, 'old'));
+
+      expect(result).toEqual({ settings: token, keyId: 'old' });
+    });
+
+    test('should try each active key for tokens without kid', () => {
+      expect(keyring.decrypt(legacyToken(token, OLD_SECRET)).keyId).toBe('old');
+      expect(keyring.decrypt(legacyToken(token, NEW_SECRET)).keyId).toBe('new');
+    });
+
+    test('should refuse a key after its expiration date', () => {
+      const after = Date.parse('2099-01-01T00:00:01Z');
+
+      expect(() => keyring.decrypt(keyring.encrypt(token, 'old'), after))
+        .toThrow(expect.objectContaining({ reason: 'key_expired' }));
+      expect(() => keyring.decrypt(legacyToken(token, OLD_SECRET), after))
+        .toThrow(expect.objectContaining({ reason: 'decryption_failed' }));
+    });
+
+    test('should reject unknown key ids', () => {
+      const envelope = JSON.parse(Buffer.from(keyring.encrypt(token, 'new'), 'base64').toString());
+      const forged = Buffer.from(JSON.stringify({ ...envelope, kid: 'missing' })).toString('base64');
+
+      expect(() => keyring.decrypt(forged)).toThrow(expect.objectContaining({ reason: 'unknown_key' }));
+    });
+
+    test('should reject tokens no key can decrypt', () => {
+      expect(() => keyring.decrypt(legacyToken(token, 'c'.repeat(32))))
+        .toThrow('Failed to decrypt token with any active key');
+      expect(() => keyring.decrypt('not a token')).toThrow('malformed token');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../lib/logger');
+
+const { Logger } = logger;
+
+describe('Logger', () => {
+  let log;
+  let output;
+
+  beforeEach(() => {
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation(line => output.push(line));
+    jest.spyOn(console, 'error').mockImplementation(line => output.push(line));
+    log = new Logger();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('levels', () => {
+    test('should filter entries below log_level', () => {
+      log.configure({ log_level: 'NORMAL' });
+
+      log.info('visible');
+      log.verbose('hidden');
+      log.debug('hidden');
+
+      expect(output).toHaveLength(1);
+      expect(output[0]).toContain('visible');
+    });
+
+    test('should only log errors at ERRORS', () => {
+      log.configure({ log_level: 'ERRORS' });
+
+      log.warn('hidden');
+      log.error('visible');
+
+      expect(output).toHaveLength(1);
+      expect(output[0]).toContain('visible');
+    });
+
+    test('should log nothing at QUIET', () => {
+      log.configure({ log_level: 'QUIET' });
+
+      log.error('hidden');
+
+      expect(output).toHaveLength(0);
+    });
+
+    test('should write errors and warnings to stderr', () => {
+      log.error('failure');
+
+      expect(console.error).toHaveBeenCalled();
+      expect(console.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('json format', () => {
+    beforeEach(() => {
+      log.configure({ log_level: 'DEBUG', log_format: 'json' });
+    });
+
+    test('should always include context fields', () => {
+      log.info('Server started');
+
+      expect(JSON.parse(output[0])).toMatchObject({
+        level: 'info',
+        message: 'Server started',
+        sessionId: null,
+        connectionId: null,
+        userId: null,
+        timestamp: expect.any(String)
+      });
+    });
+
+    test('should carry child logger context', () => {
+      const child = log.child({ sessionId: 's-1', connectionId: 7, userId: 'u-1' });
+
+      child.info('Session opened', { protocol: 'rdp' });
+
+      expect(JSON.parse(output[0])).toMatchObject({
+        sessionId: 's-1',
+        connectionId: 7,
+        userId: 'u-1',
+        protocol: 'rdp'
+      });
+    });
+
+    test('should redact secrets', () => {
+      log.info('Settings', { password: 'hunter2', settings: { 'private-key': 'abc', width: 1024 } });
+
+      const entry = JSON.parse(output[0]);
+      expect(entry.password).toBe('[REDACTED]');
+      expect(entry.settings['private-key']).toBe('[REDACTED]');
+      expect(entry.settings.width).toBe(1024);
+      expect(output[0]).not.toContain('hunter2');
+    });
+
+    test('should serialize errors', () => {
+      log.error('Upload failed', { error: new Error('Network down') });
+
+      expect(JSON.parse(output[0]).error).toMatchObject({
+        message: 'Network down',
+        stack: expect.stringContaining('Network down')
+      });
+    });
+  });
+
+  describe('text format', () => {
+    test('should render level, message and fields', () => {
+      log.child({ sessionId: 's-1' }).info('Session opened', { protocol: 'rdp' });
+
+      expect(output[0]).toMatch(/^\S+Z INFO\s+Session opened sessionId=s-1 protocol=rdp$/);
+    });
+  });
+
+  describe('file output', () => {
+    let tempDir;
+    let logFile;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+      logFile = path.join(tempDir, 'logs', 'server.log');
+    });
+
+    afterEach(() => {
+      log.configure({});
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should append entries to the log file', () => {
+      log.configure({ log_format: 'json', log_file: logFile });
+
+      log.info('first');
+      log.info('second');
+
+      const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n');
+      expect(lines.map(line => JSON.parse(line).message)).toEqual(['first', 'second']);
+    });
+
+    test('should rotate when the file exceeds the maximum size', () => {
+      log.configure({ log_file: logFile, log_file_max_size: 200, log_file_max_files: 2 });
+
+      for (let i = 0; i < 10; i++) {
+        log.info(`entry number ${i} with some padding to fill the file`);
+      }
+
+      const files = fs.readdirSync(path.dirname(logFile)).sort();
+      expect(files).toEqual(['server.log', 'server.log.1', 'server.log.2']);
+      expect(fs.readFileSync(logFile, 'utf8')).toContain('entry number 9');
+      expect(fs.statSync(logFile).size).toBeLessThanOrEqual(200);
+    });
+  });
+
+  describe('default instance', () => {
+    test('should export a shared logger', () => {
+      expect(logger).toBeInstanceOf(Logger);
+      expect(require('../lib/logger')).toBe(logger);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const Metrics = require('../lib/metrics');
+
+describe('Metrics', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new Metrics();
+  });
+
+  describe('counters and gauges', () => {
+    test('should increment counters per label set', () => {
+      metrics.inc('sessions_opened_total', { protocol: 'rdp' });
+      metrics.inc('sessions_opened_total', { protocol: 'rdp' });
+      metrics.inc('sessions_opened_total', { protocol: 'ssh' });
+
+      const output = metrics.render();
+
+      expect(output).toContain('# TYPE guacamole_lite_sessions_opened_total counter');
+      expect(output).toContain('guacamole_lite_sessions_opened_total{protocol="rdp"} 2');
+      expect(output).toContain('guacamole_lite_sessions_opened_total{protocol="ssh"} 1');
+    });
+
+    test('should set and reset gauges', () => {
+      metrics.set('active_connections', { protocol: 'vnc' }, 3);
+      expect(metrics.render()).toContain('guacamole_lite_active_connections{protocol="vnc"} 3');
+
+      metrics.reset('active_connections');
+      expect(metrics.render()).not.toContain('protocol="vnc"');
+    });
+
+    test('should render unlabelled metrics with zero values', () => {
+      const output = metrics.render();
+
+      expect(output).toContain('guacamole_lite_recording_upload_failures_total 0');
+      expect(output).toContain('guacamole_lite_webhook_queue_depth 0');
+    });
+
+    test('should escape label values', () => {
+      metrics.inc('token_rejections_total', { reason: 'bad "quote"' });
+
+      expect(metrics.render()).toContain('guacamole_lite_token_rejections_total{reason="bad \\"quote\\""} 1');
+    });
+
+    test('should leave out empty label values', () => {
+      metrics.inc('token_rejections_total', { reason: 'expired', tenant: '' });
+
+      expect(metrics.render()).toContain('guacamole_lite_token_rejections_total{reason="expired"} 1');
+    });
+
+    test('should throw for unknown metrics', () => {
+      expect(() => metrics.inc('missing_total')).toThrow('Unknown metric: missing_total');
+    });
+  });
+
+  describe('histograms', () => {
+    test('should fill cumulative buckets, sum and count', () => {
+      metrics.observe('session_duration_seconds', { protocol: 'rdp' }, 30);
+      metrics.observe('session_duration_seconds', { protocol: 'rdp' }, 600);
+
+      const output = metrics.render();
+
+      expect(output).toContain('guacamole_lite_session_duration_seconds_bucket{protocol="rdp",le="60"} 1');
+      expect(output).toContain('guacamole_lite_session_duration_seconds_bucket{protocol="rdp",le="900"} 2');
+      expect(output).toContain('guacamole_lite_session_duration_seconds_bucket{protocol="rdp",le="+Inf"} 2');
+      expect(output).toContain('guacamole_lite_session_duration_seconds_sum{protocol="rdp"} 630');
+      expect(output).toContain('guacamole_lite_session_duration_seconds_count{protocol="rdp"} 2');
+    });
+
+    test('should observe elapsed time with startTimer()', () => {
+      const end = metrics.startTimer('recording_compression_duration_seconds', { format: 'gzip' });
+      const seconds = end();
+
+      expect(seconds).toBeGreaterThanOrEqual(0);
+      expect(metrics.render()).toContain('guacamole_lite_recording_compression_duration_seconds_count{format="gzip"} 1');
+    });
+  });
+
+  describe('collectors', () => {
+    test('should run collectors before rendering', () => {
+      metrics.addCollector(m => m.set('webhook_queue_depth', {}, 7));
+
+      expect(metrics.render()).toContain('guacamole_lite_webhook_queue_depth 7');
+    });
+
+    test('should keep rendering when a collector throws', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      metrics.addCollector(() => {
+        throw new Error('collector failed');
+      });
+
+      expect(() => metrics.render()).not.toThrow();
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const RateLimiter = require('../lib/rate-limiter');
+
+describe('RateLimiter', () => {
+  let limiter;
+  const now = 1700000000000;
+
+  beforeEach(() => {
+    limiter = new RateLimiter({
+      rate_limit_enable: true,
+      rate_limit_ip_burst: 3,
+      rate_limit_ip_per_minute: 60,
+      rate_limit_user_burst: 1,
+      rate_limit_user_per_minute: 1,
+      lockout_threshold: 3,
+      lockout_window: 10000,
+      lockout_duration: 60000
+    });
+  });
+
+  describe('isEnabled()', () => {
+    test('should follow rate_limit_enable', () => {
+      expect(limiter.isEnabled()).toBe(true);
+      expect(new RateLimiter({}).isEnabled()).toBe(false);
+    });
+  });
+
+  describe('consume()', () => {
+    test('should allow a burst and then refuse', () => {
+      expect(limiter.consume('ip', '203.0.113.5', now)).toBe(true);
+      expect(limiter.consume('ip', '203.0.113.5', now)).toBe(true);
+      expect(limiter.consume('ip', '203.0.113.5', now)).toBe(true);
+      expect(limiter.consume('ip', '203.0.113.5', now)).toBe(false);
+    });
+
+    test('should refill tokens over time', () => {
+      for (let i = 0; i < 3; i++) limiter.consume('ip', '203.0.113.5', now);
+
+      expect(limiter.consume('ip', '203.0.113.5', now + 500)).toBe(false);
+      expect(limiter.consume('ip', '203.0.113.5', now + 1500)).toBe(true);
+    });
+
+    test('should keep separate buckets per key and scope', () => {
+      expect(limiter.consume('user', 'user-1', now)).toBe(true);
+      expect(limiter.consume('user', 'user-1', now)).toBe(false);
+      expect(limiter.consume('user', 'user-2', now)).toBe(true);
+      expect(limiter.consume('ip', 'user-1', now)).toBe(true);
+    });
+
+    test('should not limit unknown keys', () => {
+      for (let i = 0; i < 5; i++) {
+        expect(limiter.consume('ip', null, now)).toBe(true);
+      }
+    });
+
+    test('should evict the least recently used keys beyond rate_limit_max_entries', () => {
+      limiter.config.rate_limit_max_entries = 2;
+
+      limiter.consume('ip', 'a', now);
+      limiter.consume('ip', 'b', now);
+      limiter.consume('ip', 'a', now);
+      limiter.consume('ip', 'c', now);
+
+      expect(Array.from(limiter.buckets.ip.keys())).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('recordFailure()', () => {
+    test('should lock out an IP after lockout_threshold failures in the window', () => {
+      expect(limiter.recordFailure('203.0.113.5', now)).toBeNull();
+      expect(limiter.recordFailure('203.0.113.5', now + 1000)).toBeNull();
+
+      const lockout = limiter.recordFailure('203.0.113.5', now + 2000);
+
+      expect(lockout).toEqual({ failures: 3, until: now + 62000 });
+      expect(limiter.getLockout('203.0.113.5', now + 30000)).toBe(now + 62000);
+      expect(limiter.getActiveLockouts(now + 30000)).toBe(1);
+    });
+
+    test('should forget failures outside the window', () => {
+      limiter.recordFailure('203.0.113.5', now);
+      limiter.recordFailure('203.0.113.5', now + 1000);
+
+      expect(limiter.recordFailure('203.0.113.5', now + 20000)).toBeNull();
+    });
+
+    test('should lift the lockout after lockout_duration', () => {
+      for (let i = 0; i < 3; i++) limiter.recordFailure('203.0.113.5', now);
+
+      expect(limiter.getLockout('203.0.113.5', now + 60001)).toBeNull();
+      expect(limiter.getActiveLockouts(now + 60001)).toBe(0);
+    });
+  });
+});
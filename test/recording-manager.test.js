@@ -232,9 +232,29 @@ describe('RecordingManager', () => {
       recordingManager.uploadQueue.push(upload);
       
       await recordingManager.processUploadQueue();
-      
+
       expect(recordingManager.uploadQueue.length).toBe(0);
     });
+
+    test('should report upload durations and failures to metrics', async () => {
+      const metrics = { startTimer: jest.fn(), inc: jest.fn() };
+      const endTimer = jest.fn();
+      metrics.startTimer.mockReturnValue(endTimer);
+      mockS3Uploader.upload.mockResolvedValueOnce('s3://bucket/key')
+                           .mockRejectedValueOnce(new Error('Always fails'));
+      recordingManager = new RecordingManager(config, mockS3Uploader, metrics);
+
+      recordingManager.uploadQueue.push(
+        { filePath: '/data/recordings/a.guac.gz', connection: {}, attempts: 0, maxAttempts: 3 },
+        { filePath: '/data/recordings/b.guac.gz', connection: {}, attempts: 2, maxAttempts: 3 }
+      );
+
+      await recordingManager.processUploadQueue();
+
+      expect(metrics.startTimer).toHaveBeenCalledWith('recording_upload_duration_seconds', { tenant: null });
+      expect(endTimer).toHaveBeenCalledTimes(1);
+      expect(metrics.inc).toHaveBeenCalledWith('recording_upload_failures_total', { tenant: null });
+    });
   });
 
   describe('uploadRecording()', () => {
@@ -334,5 +354,17 @@ describe('RecordingManager', () => {
       
       expect(recordingManager.uploadQueue.length).toBe(0);
     });
+
+    test('should wait for an in-flight upload with an empty queue', async () => {
+      recordingManager.processing = true;
+
+      setTimeout(() => {
+        recordingManager.processing = false;
+      }, 100);
+
+      await recordingManager.cleanup();
+
+      expect(recordingManager.processing).toBe(false);
+    });
   });
 });
\ No newline at end of file
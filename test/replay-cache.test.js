@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReplayCache = require('../lib/replay-cache');
+
+describe('ReplayCache', () => {
+  describe('isEnabled()', () => {
+    test('should follow token_replay_protection', () => {
+      expect(new ReplayCache({ token_replay_protection: true }).isEnabled()).toBe(true);
+      expect(new ReplayCache({}).isEnabled()).toBe(false);
+    });
+  });
+
+  describe('consume()', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new ReplayCache({ token_replay_protection: true, token_replay_ttl: 1000 });
+    });
+
+    test('should accept a nonce once and reject it afterwards', () => {
+      expect(cache.consume({ nonce: 'abc' })).toEqual({ accepted: true });
+      expect(cache.consume({ nonce: 'abc' })).toEqual({ accepted: false, reason: 'replayed' });
+    });
+
+    test('should treat jti like nonce', () => {
+      cache.consume({ jti: 'token-1' });
+
+      expect(cache.consume({ nonce: 'token-1' }).accepted).toBe(false);
+    });
+
+    test('should accept a nonce again once its TTL has passed', () => {
+      const now = Date.now();
+      cache.consume({ nonce: 'abc' }, now);
+
+      expect(cache.consume({ nonce: 'abc' }, now + 500).accepted).toBe(false);
+      expect(cache.consume({ nonce: 'abc' }, now + 1001).accepted).toBe(true);
+    });
+
+    test('should remember a nonce until the token expires when that is later than the TTL', () => {
+      const now = Date.now();
+      cache.consume({ nonce: 'abc', expiration: now + 5000 }, now);
+
+      expect(cache.consume({ nonce: 'abc' }, now + 4000).accepted).toBe(false);
+    });
+
+    test('should accept tokens without a nonce unless one is required', () => {
+      expect(cache.consume({}).accepted).toBe(true);
+
+      cache.updateConfig({ ...cache.config, token_replay_require_nonce: true });
+
+      expect(cache.consume({})).toEqual({ accepted: false, reason: 'nonce_missing' });
+    });
+
+    test('should refuse new nonces while token_replay_max_entries are unexpired', () => {
+      cache = new ReplayCache({ token_replay_max_entries: 2 });
+
+      cache.consume({ nonce: 'a' });
+      cache.consume({ nonce: 'b' });
+
+      expect(cache.consume({ nonce: 'c' })).toEqual({ accepted: false, reason: 'replay_cache_full' });
+      expect(cache.store.size()).toBe(2);
+      expect(cache.consume({ nonce: 'a' })).toEqual({ accepted: false, reason: 'replayed' });
+    });
+
+    test('should make room by dropping expired entries only', () => {
+      const now = Date.now();
+      cache = new ReplayCache({ token_replay_max_entries: 2, token_replay_ttl: 1000 });
+
+      cache.consume({ nonce: 'a' }, now);
+      cache.consume({ nonce: 'b' }, now + 500);
+
+      expect(cache.consume({ nonce: 'c' }, now + 1001)).toEqual({ accepted: true });
+      expect(cache.consume({ nonce: 'b' }, now + 1001).accepted).toBe(false);
+      expect(cache.store.size()).toBe(2);
+    });
+  });
+
+  describe('file store', () => {
+    let tempDir;
+    let config;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-cache-'));
+      config = {
+        token_replay_protection: true,
+        token_replay_store: 'file',
+        token_replay_store_path: path.join(tempDir, 'nested', 'replay.jsonl')
+      };
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should keep used nonces across restarts', () => {
+      new ReplayCache(config).consume({ nonce: 'abc' });
+
+      const restarted = new ReplayCache(config);
+
+      expect(restarted.consume({ nonce: 'abc' })).toEqual({ accepted: false, reason: 'replayed' });
+    });
+
+    test('should drop expired entries and skip a torn last line when loading', () => {
+      const now = Date.now();
+      fs.mkdirSync(path.dirname(config.token_replay_store_path), { recursive: true });
+      fs.writeFileSync(config.token_replay_store_path, [
+        JSON.stringify({ id: 'old', expiresAt: now - 1000 }),
+        JSON.stringify({ id: 'live', expiresAt: now + 60000 }),
+        '{"id":"tor'
+      ].join('\n'));
+
+      const cache = new ReplayCache(config);
+
+      expect(cache.store.size()).toBe(1);
+      expect(cache.consume({ nonce: 'live' }).accepted).toBe(false);
+      expect(fs.readFileSync(config.token_replay_store_path, 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const RolePolicy = require('../lib/role-policy');
+
+describe('RolePolicy', () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new RolePolicy({
+      roles: {
+        auditor: { 'read-only': true },
+        contractor: { 'disable-copy': true, 'disable-paste': true, 'read-only': false }
+      },
+      restricted_params: {
+        'enable-drive': 'admin',
+        'enable-sftp': ['admin', 'operator']
+      }
+    });
+  });
+
+  describe('getRoles()', () => {
+    test('should accept arrays and comma-separated strings', () => {
+      expect(RolePolicy.getRoles({ meta: { roles: ['auditor', 'admin'] } })).toEqual(['auditor', 'admin']);
+      expect(RolePolicy.getRoles({ meta: { roles: 'auditor, admin' } })).toEqual(['auditor', 'admin']);
+      expect(RolePolicy.getRoles({})).toEqual([]);
+    });
+  });
+
+  describe('apply()', () => {
+    test('should enforce role parameters over the token', () => {
+      const settings = { protocol: 'rdp', 'read-only': false };
+
+      const result = policy.apply(settings, { meta: { roles: ['auditor'] } });
+
+      expect(settings['read-only']).toBe(true);
+      expect(result.roles).toEqual(['auditor']);
+    });
+
+    test('should let the later role win a conflict', () => {
+      const settings = {};
+
+      policy.apply(settings, { meta: { roles: ['contractor', 'auditor'] } });
+
+      expect(settings).toEqual({ 'read-only': false, 'disable-copy': true, 'disable-paste': true });
+    });
+
+    test('should remove restricted parameters for other roles', () => {
+      const settings = { 'enable-drive': true, 'enable-sftp': 'true' };
+
+      const result = policy.apply(settings, { meta: { roles: ['contractor'] } });
+
+      expect(settings).not.toHaveProperty('enable-drive');
+      expect(settings).not.toHaveProperty('enable-sftp');
+      expect(result.removed).toEqual(['enable-drive', 'enable-sftp']);
+    });
+
+    test('should keep restricted parameters for allowed roles', () => {
+      const settings = { 'enable-drive': true, 'enable-sftp': true };
+
+      policy.apply(settings, { meta: { roles: ['operator'] } });
+
+      expect(settings).toEqual({ 'enable-sftp': true });
+    });
+
+    test('should leave disabled restricted parameters alone', () => {
+      const settings = { 'enable-drive': false };
+
+      expect(policy.apply(settings, {}).removed).toEqual([]);
+      expect(settings['enable-drive']).toBe(false);
+    });
+  });
+
+  describe('validate()', () => {
+    test('should reject a role that is not a section', () => {
+      expect(() => RolePolicy.validate({ roles: { auditor: 'read-only' } })).toThrow("Role 'auditor' must be a section");
+    });
+  });
+});
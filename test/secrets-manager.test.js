@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const SecretsManager = require('../lib/secrets-manager');
+const { EncryptedFileProvider, DirectoryProvider, VaultProvider } = SecretsManager;
+
+const FILE_KEY = '0123456789abcdef0123456789abcdef';
+
+function startFakeVault(secrets) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      if (req.headers['x-vault-token'] !== 'vault-token') {
+        res.writeHead(403);
+        return res.end('{"errors":["permission denied"]}');
+      }
+
+      const secretPath = req.url.replace('/v1/secret/data/', '');
+      if (!secrets[secretPath]) {
+        res.writeHead(404);
+        return res.end('{"errors":[]}');
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: { data: secrets[secretPath], metadata: { version: 1 } } }));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('SecretsManager', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseReference()', () => {
+    test('should split the path and field', () => {
+      expect(SecretsManager.parseReference('secret://rdp/prod-admin')).toEqual({ path: 'rdp/prod-admin', field: null });
+      expect(SecretsManager.parseReference('secret://db#password')).toEqual({ path: 'db', field: 'password' });
+      expect(SecretsManager.isReference('hunter2')).toBe(false);
+    });
+  });
+
+  describe('EncryptedFileProvider', () => {
+    test('should read secrets from an encrypted file', async () => {
+      const filePath = path.join(tempDir, 'secrets.enc');
+      fs.writeFileSync(filePath, EncryptedFileProvider.encrypt({ 'rdp/prod-admin': 's3cret' }, FILE_KEY));
+
+      const provider = new EncryptedFileProvider({ secrets_file_path: filePath, secrets_file_key: FILE_KEY });
+
+      expect(await provider.get('rdp/prod-admin')).toBe('s3cret');
+      expect(await provider.get('missing')).toBeUndefined();
+    });
+
+    test('should not expose file content when the key is wrong', async () => {
+      const filePath = path.join(tempDir, 'secrets.enc');
+      fs.writeFileSync(filePath, EncryptedFileProvider.encrypt({ a: 'b' }, FILE_KEY));
+
+      const provider = new EncryptedFileProvider({ secrets_file_path: filePath, secrets_file_key: 'ffffffffffffffffffffffffffffffff' });
+
+      await expect(provider.get('a')).rejects.toThrow(`Cannot read secrets file ${filePath}: decryption failed`);
+    });
+  });
+
+  describe('DirectoryProvider', () => {
+    test('should read secret files and strip the trailing newline', async () => {
+      fs.mkdirSync(path.join(tempDir, 'rdp'));
+      fs.writeFileSync(path.join(tempDir, 'rdp', 'prod-admin'), 's3cret\n');
+
+      const provider = new DirectoryProvider({ secrets_dir: tempDir });
+
+      expect(await provider.get('rdp/prod-admin')).toBe('s3cret');
+      expect(await provider.get('rdp/missing')).toBeUndefined();
+    });
+
+    test('should refuse paths outside the directory', async () => {
+      const provider = new DirectoryProvider({ secrets_dir: tempDir });
+
+      await expect(provider.get('../etc/passwd')).rejects.toThrow('escapes the secrets directory');
+    });
+  });
+
+  describe('VaultProvider', () => {
+    let vault;
+    let config;
+
+    beforeEach(async () => {
+      vault = await startFakeVault({ 'rdp/prod-admin': { value: 's3cret', username: 'admin' } });
+      config = {
+        secrets_vault_url: `http://127.0.0.1:${vault.address().port}/`,
+        secrets_vault_token: 'vault-token'
+      };
+    });
+
+    afterEach(() => new Promise(resolve => vault.close(resolve)));
+
+    test('should build KV v1 and v2 URLs', () => {
+      expect(new VaultProvider({ secrets_vault_url: 'https://vault:8200/' }).getUrl('a b/c'))
+        .toBe('https://vault:8200/v1/secret/data/a%20b/c');
+      expect(new VaultProvider({ secrets_vault_url: 'https://vault:8200', secrets_vault_mount: 'kv', secrets_vault_kv_version: 1 }).getUrl('c'))
+        .toBe('https://vault:8200/v1/kv/c');
+    });
+
+    test('should return the KV v2 data', async () => {
+      expect(await new VaultProvider(config).get('rdp/prod-admin')).toEqual({ value: 's3cret', username: 'admin' });
+      expect(await new VaultProvider(config).get('rdp/missing')).toBeUndefined();
+    });
+
+    test('should report HTTP errors', async () => {
+      const provider = new VaultProvider({ ...config, secrets_vault_token: 'wrong' });
+
+      await expect(provider.get('rdp/prod-admin')).rejects.toThrow('Vault returned HTTP 403 for rdp/prod-admin');
+    });
+
+    test('should resolve fields through the manager', async () => {
+      const manager = new SecretsManager({ ...config, secrets_provider: 'vault' });
+      const settings = { password: 'secret://rdp/prod-admin', username: 'secret://rdp/prod-admin#username', port: 3389 };
+
+      expect(await manager.resolve(settings)).toEqual(['password', 'username']);
+      expect(settings).toEqual({ password: 's3cret', username: 'admin', port: 3389 });
+    });
+  });
+
+  describe('get()', () => {
+    test('should cache resolved values', async () => {
+      const manager = new SecretsManager({ secrets_provider: 'directory', secrets_dir: tempDir });
+      fs.writeFileSync(path.join(tempDir, 'pw'), 'first');
+
+      expect(await manager.get('secret://pw', 1000)).toBe('first');
+      fs.writeFileSync(path.join(tempDir, 'pw'), 'second');
+      expect(await manager.get('secret://pw', 2000)).toBe('first');
+      expect(await manager.get('secret://pw', 70000)).toBe('second');
+    });
+
+    test('should reject missing secrets and references without a provider', async () => {
+      const manager = new SecretsManager({ secrets_provider: 'directory', secrets_dir: tempDir });
+
+      await expect(manager.get('secret://missing')).rejects.toThrow(expect.objectContaining({
+        reason: 'secret_unavailable',
+        message: 'Secret secret://missing not found'
+      }));
+      await expect(new SecretsManager({}).resolve({ password: 'secret://pw' }))
+        .rejects.toThrow('No secrets provider is configured to resolve secret://pw');
+    });
+
+    test('should resolve references below secrets_path_prefix', async () => {
+      fs.mkdirSync(path.join(tempDir, 'acme'));
+      fs.writeFileSync(path.join(tempDir, 'acme', 'pw'), 'acme-password');
+      fs.writeFileSync(path.join(tempDir, 'pw'), 'global-password');
+      const manager = new SecretsManager({ secrets_provider: 'directory', secrets_dir: tempDir, secrets_path_prefix: '/acme/' });
+
+      expect(await manager.get('secret://pw')).toBe('acme-password');
+      for (const reference of ['secret://../pw', 'secret://x/../../pw', 'secret:///pw', 'secret://./pw']) {
+        await expect(manager.get(reference)).rejects.toThrow(expect.objectContaining({
+          reason: 'secret_unavailable',
+          message: `Secret ${reference} is outside the secrets namespace`
+        }));
+      }
+    });
+
+    test('should accept custom providers', async () => {
+      SecretsManager.registerProvider('static', class {
+        async get(secretPath) {
+          return `value-of-${secretPath}`;
+        }
+      });
+
+      const manager = new SecretsManager({ secrets_provider: 'static' });
+
+      expect(await manager.get('secret://x')).toBe('value-of-x');
+      delete SecretsManager.providers.static;
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const SessionLimiter = require('../lib/session-limiter');
+
+function connection(connectionId, userId, hostname, startedAt) {
+  return {
+    connectionId,
+    token: { hostname, meta: { userId } },
+    startedAt: startedAt ? new Date(startedAt) : undefined
+  };
+}
+
+describe('SessionLimiter', () => {
+  let config;
+  let limiter;
+
+  beforeEach(() => {
+    config = {
+      max_sessions_per_user: 2,
+      max_sessions_per_target: 0,
+      max_sessions_total: 0,
+      target_session_limits: { 'RDS01.example.com': 1 }
+    };
+    limiter = new SessionLimiter(config);
+  });
+
+  describe('isEnabled()', () => {
+    test('should be enabled by any limit', () => {
+      expect(limiter.isEnabled()).toBe(true);
+      expect(new SessionLimiter({}).isEnabled()).toBe(false);
+      expect(new SessionLimiter({ max_sessions_total: 5 }).isEnabled()).toBe(true);
+    });
+  });
+
+  describe('getPolicy()', () => {
+    test('should default to reject', () => {
+      expect(limiter.getPolicy()).toBe('reject');
+      expect(new SessionLimiter({ session_limit_policy: 'evict_oldest' }).getPolicy()).toBe('evict_oldest');
+    });
+  });
+
+  describe('findViolations()', () => {
+    test('should report a user at the limit', () => {
+      const sessions = [connection(1, 'alice', 'a', 1000), connection(2, 'alice', 'b', 2000), connection(3, 'bob', 'a', 3000)];
+
+      const violations = limiter.findViolations({ hostname: 'c', meta: { userId: 'alice' } }, sessions);
+
+      expect(violations).toHaveLength(1);
+      expect(violations[0]).toMatchObject({ scope: 'user', key: 'alice', limit: 2 });
+      expect(violations[0].sessions.map(s => s.connectionId)).toEqual([1, 2]);
+      expect(limiter.findViolations({ hostname: 'c', meta: { userId: 'bob' } }, sessions)).toEqual([]);
+    });
+
+    test('should apply per-host limits case-insensitively', () => {
+      const sessions = [connection(1, 'alice', 'rds01.example.com', 1000)];
+
+      const violations = limiter.findViolations({ hostname: 'rds01.EXAMPLE.com', meta: { userId: 'bob' } }, sessions);
+
+      expect(violations).toEqual([expect.objectContaining({ scope: 'target', key: 'rds01.example.com', limit: 1 })]);
+    });
+
+    test('should enforce the overall limit', () => {
+      limiter.updateConfig({ max_sessions_total: 2 });
+      const sessions = [connection(1, 'a', 'x', 1000), connection(2, 'b', 'y', 2000)];
+
+      expect(limiter.findViolations({ hostname: 'z', meta: {} }, sessions)[0].scope).toBe('total');
+    });
+
+    test('should ignore connections without a token and evicted ones', () => {
+      const evicted = { ...connection(2, 'alice', 'b', 2000), evicted: true };
+      const sessions = [connection(1, 'alice', 'a', 1000), evicted, { connectionId: 3 }];
+
+      expect(limiter.findViolations({ hostname: 'c', meta: { userId: 'alice' } }, sessions)).toEqual([]);
+    });
+  });
+
+  describe('selectEvictions()', () => {
+    test('should pick the oldest sessions needed to make room', () => {
+      config.max_sessions_per_user = 3;
+      const sessions = [connection(1, 'alice', 'a', 3000), connection(2, 'alice', 'b', 1000), connection(3, 'alice', 'c', 2000)];
+
+      const evictions = limiter.selectEvictions(limiter.findViolations({ hostname: 'd', meta: { userId: 'alice' } }, sessions));
+
+      expect(evictions.map(s => s.connectionId)).toEqual([2]);
+    });
+
+    test('should prefer opened sessions over ones still connecting', () => {
+      const sessions = [connection(1, 'alice', 'a'), connection(2, 'alice', 'b', 5000)];
+
+      const evictions = limiter.selectEvictions(limiter.findViolations({ hostname: 'd', meta: { userId: 'alice' } }, sessions));
+
+      expect(evictions.map(s => s.connectionId)).toEqual([2]);
+    });
+
+    test('should not evict the same session twice for overlapping limits', () => {
+      config.max_sessions_total = 1;
+      const sessions = [connection(1, 'bob', 'rds01.example.com', 1000)];
+
+      const violations = limiter.findViolations({ hostname: 'rds01.example.com', meta: { userId: 'alice' } }, sessions);
+      const evictions = limiter.selectEvictions(violations);
+
+      expect(violations.map(v => v.scope)).toEqual(['target', 'total']);
+      expect(evictions.map(s => s.connectionId)).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const SessionTimer = require('../lib/session-timer');
+
+describe('SessionTimer', () => {
+  let sessionTimer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sessionTimer = new SessionTimer();
+  });
+
+  afterEach(() => {
+    sessionTimer.clearAll();
+    jest.useRealTimers();
+  });
+
+  describe('getMaxDuration()', () => {
+    test('should use the configured limit', () => {
+      expect(SessionTimer.getMaxDuration({ max_session_duration: 3600000 }, {})).toBe(3600000);
+    });
+
+    test('should let a token lower but not raise the limit', () => {
+      const config = { max_session_duration: 3600000 };
+
+      expect(SessionTimer.getMaxDuration(config, { maxSessionDuration: 600000 })).toBe(600000);
+      expect(SessionTimer.getMaxDuration(config, { maxSessionDuration: 7200000 })).toBe(3600000);
+    });
+
+    test('should apply a token limit when none is configured', () => {
+      expect(SessionTimer.getMaxDuration({ max_session_duration: 0 }, { maxSessionDuration: '600000' })).toBe(600000);
+    });
+
+    test('should return null without any limit', () => {
+      expect(SessionTimer.getMaxDuration({}, {})).toBeNull();
+    });
+  });
+
+  describe('schedule()', () => {
+    test('should warn before the deadline and then expire', () => {
+      const onWarning = jest.fn();
+      const onExpire = jest.fn();
+
+      const expiresAt = sessionTimer.schedule(1, 10000, 3000, { onWarning, onExpire });
+
+      jest.advanceTimersByTime(6999);
+      expect(onWarning).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(onWarning).toHaveBeenCalledWith(expiresAt);
+      expect(onExpire).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(3000);
+      expect(onExpire).toHaveBeenCalledWith(expiresAt);
+      expect(sessionTimer.getExpiresAt(1)).toBeNull();
+    });
+
+    test('should skip the warning when the session is shorter than the warning period', () => {
+      const onWarning = jest.fn();
+      const onExpire = jest.fn();
+
+      sessionTimer.schedule(1, 2000, 3000, { onWarning, onExpire });
+      jest.advanceTimersByTime(2000);
+
+      expect(onWarning).not.toHaveBeenCalled();
+      expect(onExpire).toHaveBeenCalled();
+    });
+
+    test('should wait out durations longer than setTimeout can hold', () => {
+      const onWarning = jest.fn();
+      const onExpire = jest.fn();
+      const day = 24 * 60 * 60 * 1000;
+
+      sessionTimer.schedule(1, 40 * day, day, { onWarning, onExpire });
+
+      jest.advanceTimersByTime(30 * day);
+      expect(onWarning).not.toHaveBeenCalled();
+      expect(onExpire).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(9 * day);
+      expect(onWarning).toHaveBeenCalled();
+      expect(onExpire).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(day);
+      expect(onExpire).toHaveBeenCalled();
+    });
+
+    test('should not fire after clear()', () => {
+      const onExpire = jest.fn();
+
+      sessionTimer.schedule(1, 1000, 0, { onWarning: jest.fn(), onExpire });
+      expect(sessionTimer.getExpiresAt(1)).toEqual(expect.any(Number));
+
+      sessionTimer.clear(1);
+      jest.advanceTimersByTime(5000);
+
+      expect(onExpire).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const TenantManager = require('../lib/tenant-manager');
+
+describe('TenantManager', () => {
+  let config;
+  let tenants;
+
+  beforeEach(() => {
+    config = {
+      secret_key: 'global-key',
+      webhook_url: 'https://hooks.example.com',
+      defaults: { rdp: { security: 'any', 'ignore-cert': true } },
+      tenants: {
+        acme: {
+          token_prefix: 'acme',
+          hosts: ['acme.example.com'],
+          secret_key: 'acme-key',
+          defaults: { rdp: { security: 'nla' } }
+        },
+        globex: { path_prefix: '/globex', secret_key: 'globex-key', s3_default_bucket: 'globex-recordings' }
+      }
+    };
+    tenants = new TenantManager(config);
+  });
+
+  describe('getConfig()', () => {
+    test('should merge the tenant section over the global configuration', () => {
+      const acme = tenants.getConfig('acme');
+
+      expect(acme.secret_key).toBe('acme-key');
+      expect(acme.webhook_url).toBe('https://hooks.example.com');
+      expect(acme.defaults.rdp).toEqual({ security: 'nla', 'ignore-cert': true });
+      expect(acme).not.toHaveProperty('tenants');
+      expect(acme).not.toHaveProperty('token_prefix');
+      expect(config.defaults.rdp.security).toBe('any');
+    });
+
+    test('should never inherit token keys', () => {
+      const initech = new TenantManager({
+        ...config,
+        token_format: 'jwt',
+        jwt_secret: 'global-jwt-secret',
+        keys: { old: { secret: 'old-global-key' } },
+        tenants: { initech: { token_prefix: 'initech' } }
+      }).getConfig('initech');
+
+      for (const key of ['secret_key', 'keys', 'token_format', 'jwt_secret']) {
+        expect(initech).not.toHaveProperty(key);
+      }
+      expect(initech.webhook_url).toBe('https://hooks.example.com');
+    });
+
+    test('should only give a tenant its own profiles', () => {
+      config.profiles = { jumpbox: { protocol: 'ssh', hostname: 'jump.internal', password: 'operator' } };
+      config.tenants.acme.profiles = { mine: { protocol: 'ssh', hostname: 'acme-jump.internal' } };
+      tenants = new TenantManager(config);
+
+      expect(tenants.getConfig('acme').profiles).toEqual({ mine: { protocol: 'ssh', hostname: 'acme-jump.internal' } });
+      expect(tenants.getConfig('globex')).not.toHaveProperty('profiles');
+    });
+
+    test('should give each tenant its own secrets namespace', () => {
+      config.secrets_path_prefix = 'global';
+      config.tenants.globex.secrets_path_prefix = '/shared/globex/';
+
+      expect(tenants.getConfig('acme').secrets_path_prefix).toBe('acme');
+      expect(tenants.getConfig('globex').secrets_path_prefix).toBe('shared/globex');
+    });
+
+    test('should return null for unknown tenants', () => {
+      expect(tenants.getConfig('initech')).toBeNull();
+    });
+  });
+
+  describe('select()', () => {
+    test('should select by token prefix and strip it', () => {
+      expect(tenants.select('acme:abc123', {})).toEqual({ tenantId: 'acme', token: 'abc123' });
+    });
+
+    test('should select by path prefix and Host header', () => {
+      expect(tenants.select('abc', { url: '/globex/?token=abc', headers: {} }).tenantId).toBe('globex');
+      expect(tenants.select('abc', { url: '/globexx', headers: {} }).tenantId).toBeNull();
+      expect(tenants.select('abc', { url: '/', headers: { host: 'ACME.example.com:8443' } }).tenantId).toBe('acme');
+    });
+
+    test('should reject unknown prefixes and conflicting selectors', () => {
+      expect(() => tenants.select('initech:abc', {})).toThrow(expect.objectContaining({ reason: 'tenant_unknown' }));
+      expect(() => tenants.select('acme:abc', { url: '/globex', headers: {} }))
+        .toThrow(expect.objectContaining({ reason: 'tenant_mismatch' }));
+    });
+
+    test('should fall back to the global configuration unless a tenant is required', () => {
+      expect(tenants.select('abc', { url: '/', headers: {} })).toEqual({ tenantId: null, token: 'abc' });
+
+      tenants.updateConfig({ ...config, tenant_required: true });
+      expect(() => tenants.select('abc', { url: '/', headers: {} })).toThrow(expect.objectContaining({ reason: 'tenant_unknown' }));
+    });
+
+    test('should leave tokens alone without tenants', () => {
+      expect(new TenantManager({}).select('a:b', {})).toEqual({ tenantId: null, token: 'a:b' });
+    });
+  });
+
+  describe('validate()', () => {
+    test('should reject selectors shared by two tenants', () => {
+      config.tenants.globex.hosts = 'acme.example.com';
+
+      expect(() => TenantManager.validate(config)).toThrow("Tenants 'acme' and 'globex' share hosts acme.example.com");
+    });
+
+    test('should require every tenant to have its own key', () => {
+      delete config.tenants.globex.secret_key;
+      expect(() => TenantManager.validate(config)).toThrow("Tenant 'globex' needs its own secret_key, [keys.*] or JWT key");
+
+      config.tenants.globex = { keys: { v1: { secret: 'globex-key' } } };
+      expect(() => TenantManager.validate(config)).not.toThrow();
+
+      config.tenants.globex = { token_format: 'jwt', secret_key: 'globex-key' };
+      expect(() => TenantManager.validate(config)).toThrow("Tenant 'globex' needs its own");
+    });
+
+    test('should reject keys shared with the global configuration or another tenant', () => {
+      config.tenants.globex.secret_key = 'global-key';
+      expect(() => TenantManager.validate(config)).toThrow("Tenant 'globex' uses the same token key as the global configuration");
+
+      config.tenants.globex.secret_key = 'acme-key';
+      expect(() => TenantManager.validate(config)).toThrow("Tenant 'globex' uses the same token key as tenant 'acme'");
+    });
+
+    test('should reject overlapping secrets namespaces', () => {
+      config.tenants.globex.secrets_path_prefix = 'acme/globex';
+
+      expect(() => TenantManager.validate(config)).toThrow("Tenants 'acme' and 'globex' share the secrets namespace acme");
+    });
+
+    test('should reject token prefixes containing the separator', () => {
+      config.tenants.acme.token_prefix = 'ac:me';
+
+      expect(() => TenantManager.validate(config)).toThrow("token_prefix cannot contain ':'");
+    });
+  });
+});
@@ -90,6 +90,16 @@ describe('Utils', () => {
     });
   });
 
+  describe('createError()', () => {
+    test('should carry the reason with the message', () => {
+      const error = Utils.createError('destination_denied', 'Destination 10.0.0.1 is denied');
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe('Destination 10.0.0.1 is denied');
+      expect(error.reason).toBe('destination_denied');
+    });
+  });
+
   describe('createRetryWrapper()', () => {
     test('should retry on failure', async () => {
       let attempts = 0;
@@ -164,6 +174,78 @@ describe('Utils', () => {
     });
   });
 
+  describe('getLogContext()', () => {
+    test('should extract session, connection and user ids', () => {
+      const connection = {
+        connectionId: 7,
+        sessionId: 'session-1',
+        token: { meta: { userId: 'user123' } }
+      };
+
+      expect(Utils.getLogContext(connection)).toEqual({
+        sessionId: 'session-1',
+        connectionId: 7,
+        userId: 'user123'
+      });
+      expect(Utils.getLogContext(connection, 'session-2').sessionId).toBe('session-2');
+    });
+
+    test('should default missing fields to null', () => {
+      expect(Utils.getLogContext(undefined)).toEqual({
+        sessionId: null,
+        connectionId: null,
+        userId: null
+      });
+    });
+  });
+
+  describe('createBlockList()', () => {
+    test('should match addresses and CIDR ranges', () => {
+      const list = Utils.createBlockList('10.0.0.0/8, 192.168.1.5, 2001:db8::/32');
+
+      expect(Utils.ipInList(list, '10.20.30.40')).toBe(true);
+      expect(Utils.ipInList(list, '::ffff:192.168.1.5')).toBe(true);
+      expect(Utils.ipInList(list, '2001:db8::1')).toBe(true);
+      expect(Utils.ipInList(list, '192.168.1.6')).toBe(false);
+      expect(Utils.ipInList(list, null)).toBe(false);
+    });
+
+    test('should return null for an empty list', () => {
+      expect(Utils.createBlockList('')).toBeNull();
+      expect(Utils.createBlockList(undefined)).toBeNull();
+    });
+
+    test('should throw on invalid entries', () => {
+      expect(() => Utils.createBlockList('10.0.0.0/33')).toThrow('Invalid IP address or CIDR: 10.0.0.0/33');
+      expect(() => Utils.createBlockList(['example.com'])).toThrow('Invalid IP address or CIDR');
+    });
+  });
+
+  describe('resolveClientIp()', () => {
+    const proxies = Utils.createBlockList('10.0.0.0/8');
+
+    test('should ignore X-Forwarded-For from untrusted peers', () => {
+      expect(Utils.resolveClientIp('203.0.113.9', '198.51.100.1', proxies)).toBe('203.0.113.9');
+      expect(Utils.resolveClientIp('203.0.113.9', '198.51.100.1', null)).toBe('203.0.113.9');
+    });
+
+    test('should take the nearest untrusted hop behind trusted proxies', () => {
+      expect(Utils.resolveClientIp('::ffff:10.0.0.2', '198.51.100.7, 203.0.113.5, 10.0.0.3', proxies))
+        .toBe('203.0.113.5');
+    });
+  });
+
+  describe('findLockedParams()', () => {
+    test('should report every locked parameter the token sets, even to the locked value', () => {
+      const config = { locked: { all: { 'enable-drive': false }, rdp: { security: 'nla' } } };
+      
+      expect(Utils.findLockedParams({ protocol: 'rdp', security: 'rdp', 'enable-drive': 'false' }, config)).toEqual(['enable-drive', 'security']);
+      expect(Utils.findLockedParams({ protocol: 'rdp', security: 'nla' }, config)).toEqual(['security']);
+      expect(Utils.findLockedParams({ protocol: 'vnc', security: 'rdp' }, config)).toEqual([]);
+      expect(Utils.findLockedParams({ protocol: 'rdp' }, {})).toEqual([]);
+    });
+  });
+
   describe('createConnectionSettings()', () => {
     test('should merge token with defaults', () => {
       const token = {
@@ -188,6 +270,37 @@ describe('Utils', () => {
       expect(settings.security).toBe('any');
     });
 
+    test('should not let defaults overwrite token values', () => {
+      const token = { protocol: 'rdp', width: 1920, security: '' };
+      const config = {
+        defaults: {
+          all: { width: 1024, height: 768 },
+          rdp: { security: 'any' }
+        }
+      };
+      
+      const settings = Utils.createConnectionSettings(token, config);
+      
+      expect(settings.width).toBe(1920);
+      expect(settings.height).toBe(768);
+      expect(settings.security).toBe('any');
+    });
+
+    test('should apply overrides and locked values over the token', () => {
+      const token = { protocol: 'rdp', 'ignore-cert': true, 'disable-audio': false };
+      const config = {
+        defaults: { rdp: { 'ignore-cert': true } },
+        overrides: { all: { 'disable-audio': true }, rdp: { 'ignore-cert': false } },
+        locked: { rdp: { security: 'nla' } }
+      };
+      
+      const settings = Utils.createConnectionSettings(token, config);
+      
+      expect(settings['ignore-cert']).toBe(false);
+      expect(settings['disable-audio']).toBe(true);
+      expect(settings.security).toBe('nla');
+    });
+
     test('should apply drive path template for RDP', () => {
       const token = {
         protocol: 'rdp',
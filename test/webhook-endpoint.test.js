@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const WebhookEndpoint = require('../lib/webhook-endpoint');
+const WebhookJournal = require('../lib/webhook-journal');
+
+function startReceiver(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => handler(req, JSON.parse(raw), res));
+    });
+    server.sockets = new Set();
+    server.on('connection', socket => {
+      server.sockets.add(socket);
+      socket.on('close', () => server.sockets.delete(socket));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Node 16 has no server.closeAllConnections(), so open sockets are destroyed by hand.
+function stopServer(server) {
+  return new Promise(resolve => {
+    server.close(resolve);
+    server.sockets.forEach(socket => socket.destroy());
+  });
+}
+
+function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() > deadline) return reject(new Error('Timed out'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+describe('WebhookEndpoint', () => {
+  let server;
+  let received;
+  let status;
+
+  beforeEach(async () => {
+    received = [];
+    status = 200;
+    server = await startReceiver((req, body, res) => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  afterEach(() => stopServer(server));
+
+  const url = () => `http://127.0.0.1:${server.address().port}/hook`;
+
+  describe('accepts()', () => {
+    test('should accept every event without a filter', () => {
+      expect(new WebhookEndpoint('all', { url: 'https://a' }).accepts('recording_saved')).toBe(true);
+      expect(new WebhookEndpoint('all', { url: 'https://a', events: '*' }).accepts('session_started')).toBe(true);
+    });
+
+    test('should only accept listed events', () => {
+      const endpoint = new WebhookEndpoint('billing', { url: 'https://a', events: ['session_started', 'session_ended'] });
+
+      expect(endpoint.accepts('session_ended')).toBe(true);
+      expect(endpoint.accepts('recording_saved')).toBe(false);
+    });
+  });
+
+  describe('send()', () => {
+    test('should use the endpoint headers and credentials', async () => {
+      const endpoint = new WebhookEndpoint('archive', {
+        url: url(),
+        headers: { 'X-Team': 'archive' },
+        auth_type: 'bearer',
+        auth_token: 'archive-token'
+      });
+
+      await endpoint.send({ event: 'recording_saved' });
+
+      expect(received[0].headers['x-team']).toBe('archive');
+      expect(received[0].headers.authorization).toBe('Bearer archive-token');
+    });
+  });
+
+  describe('enqueue()', () => {
+    test('should retry with the endpoint retry policy', async () => {
+      status = 500;
+      const endpoint = new WebhookEndpoint('billing', { url: url(), max_attempts: 2, retry_delay: 10 });
+
+      endpoint.enqueue({ event: 'session_started' });
+      await endpoint.cleanup();
+
+      expect(received).toHaveLength(2);
+      expect(received[0].headers['x-delivery-id']).toBe(received[1].headers['x-delivery-id']);
+    });
+
+    test('should not be delayed by another endpoint', async () => {
+      const stalled = await startReceiver(() => {});
+      const slow = new WebhookEndpoint('slow', { url: `http://127.0.0.1:${stalled.address().port}/`, timeout: 1000, max_attempts: 1 });
+      const fast = new WebhookEndpoint('fast', { url: url() });
+
+      slow.enqueue({ event: 'session_started' });
+      fast.enqueue({ event: 'session_started' });
+
+      await waitFor(() => received.length === 1, 500);
+      expect(slow.getQueueStatus().processing).toBe(true);
+
+      const stopped = stopServer(stalled);
+      await slow.cleanup();
+      await stopped;
+    });
+  });
+
+  describe('journal', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-endpoint-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should replay undelivered webhooks after a restart', async () => {
+      status = 500;
+      const before = new WebhookEndpoint('default', { url: url(), retry_delay: 60000 }, new WebhookJournal(directory, 'default'));
+
+      before.enqueue({ event: 'session_ended', session_id: 'abc' });
+      await waitFor(() => received.length === 1);
+      await before.cleanup();
+      expect(before.getQueueStatus().pending).toBe(1);
+
+      status = 200;
+      const after = new WebhookEndpoint('default', { url: url() }, new WebhookJournal(directory, 'default'));
+      after.restore();
+      await waitFor(() => received.length === 2);
+      await waitFor(() => !after.getQueueStatus().processing);
+
+      expect(received[1].body).toEqual({ event: 'session_ended', session_id: 'abc' });
+      expect(received[1].headers['x-delivery-id']).toBe(received[0].headers['x-delivery-id']);
+      expect(new WebhookJournal(directory, 'default').load()).toEqual([]);
+    });
+
+    test('should not hold fresh deliveries behind a retry that is not due', async () => {
+      status = 500;
+      const endpoint = new WebhookEndpoint('default', { url: url(), retry_delay: 60000 }, new WebhookJournal(directory, 'default'));
+
+      endpoint.enqueue({ event: 'session_started', session_id: 'abc' });
+      await waitFor(() => received.length === 1);
+
+      status = 200;
+      endpoint.enqueue({ event: 'session_ended', session_id: 'def' });
+      await waitFor(() => received.length === 2, 500);
+
+      expect(received[1].body).toEqual({ event: 'session_ended', session_id: 'def' });
+      expect(endpoint.getQueueStatus().pending).toBe(1);
+      await endpoint.cleanup();
+    });
+
+    test('should still deliver when the journal cannot be written', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.writeFileSync(path.join(directory, 'file'), '');
+      const endpoint = new WebhookEndpoint('default', { url: url() }, new WebhookJournal(path.join(directory, 'file', 'journal'), 'default'));
+
+      expect(() => endpoint.enqueue({ event: 'connection_rejected' })).not.toThrow();
+      await waitFor(() => received.length === 1);
+      await waitFor(() => !endpoint.getQueueStatus().processing);
+
+      expect(received[0].body).toEqual({ event: 'connection_rejected' });
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Webhook journal write failed'));
+      console.error.mockRestore();
+    });
+
+    test('should move exhausted deliveries to the dead-letter file', async () => {
+      status = 500;
+      const endpoint = new WebhookEndpoint('billing', { url: url(), max_attempts: 2, retry_delay: 10 }, new WebhookJournal(directory, 'billing'));
+
+      endpoint.enqueue({ event: 'session_started', session_id: 'abc' });
+      await waitFor(() => received.length === 2);
+      await waitFor(() => !endpoint.getQueueStatus().processing);
+
+      const letters = WebhookJournal.readDeadLetters(directory);
+      expect(letters).toHaveLength(1);
+      expect(letters[0]).toMatchObject({
+        id: received[0].headers['x-delivery-id'],
+        endpoint: 'billing',
+        url: url(),
+        attempts: 2,
+        error: 'Request failed with status code 500',
+        payload: { event: 'session_started', session_id: 'abc' }
+      });
+      expect(new WebhookJournal(directory, 'billing').load()).toEqual([]);
+      endpoint.journal.close();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebhookJournal = require('../lib/webhook-journal');
+
+describe('WebhookJournal', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-journal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const webhook = (id, attempts = 0) => ({ id, attempts, queuedAt: '2025-01-01T00:00:00.000Z', payload: { event: 'session_ended', session_id: id } });
+
+  describe('load()', () => {
+    test('should return deliveries that were neither delivered nor dead-lettered', () => {
+      const journal = new WebhookJournal(directory, 'default');
+      journal.queued(webhook('a'));
+      journal.queued(webhook('b'));
+      journal.queued(webhook('c'));
+      journal.failed(webhook('b', 2));
+      journal.delivered(webhook('a'));
+      journal.deadLetter(webhook('c', 3));
+      journal.close();
+
+      expect(new WebhookJournal(directory, 'default').load()).toEqual([webhook('b', 2)]);
+    });
+
+    test('should skip a line cut short by a crash', () => {
+      const journal = new WebhookJournal(directory, 'default');
+      journal.queued(webhook('a'));
+      journal.close();
+      fs.appendFileSync(journal.filePath, '{"op":"queued","id":"b","pay');
+
+      expect(journal.load().map(entry => entry.id)).toEqual(['a']);
+    });
+
+    test('should return nothing without a journal file', () => {
+      expect(new WebhookJournal(path.join(directory, 'missing'), 'default').load()).toEqual([]);
+    });
+  });
+
+  describe('compact()', () => {
+    test('should keep only the given deliveries', () => {
+      const journal = new WebhookJournal(directory, 'default');
+      journal.queued(webhook('a'));
+      journal.queued(webhook('b'));
+      journal.delivered(webhook('a'));
+
+      journal.compact([webhook('b', 1)]);
+      journal.queued(webhook('c'));
+      journal.close();
+
+      expect(fs.readFileSync(journal.filePath, 'utf8').trim().split('\n')).toHaveLength(3);
+      expect(journal.load().map(entry => [entry.id, entry.attempts])).toEqual([['b', 1], ['c', 0]]);
+    });
+  });
+
+  describe('dead letters', () => {
+    test('should list dead letters per endpoint until they are re-sent', () => {
+      const global = new WebhookJournal(directory, 'archive');
+      const tenant = new WebhookJournal(directory, 'archive', 'acme');
+      global.deadLetter(webhook('a', 3), { url: 'https://archive.example.com', error: 'HTTP 500: Internal Server Error' });
+      tenant.deadLetter(webhook('b', 3), { url: 'https://archive.example.com', error: 'timeout' });
+      global.close();
+      tenant.close();
+
+      // Both can be dead-lettered in the same millisecond.
+      const letters = WebhookJournal.readDeadLetters(directory).sort((a, b) => a.id.localeCompare(b.id));
+      expect(letters.map(letter => [letter.id, letter.name, letter.endpoint, letter.tenant])).toEqual([
+        ['a', 'archive', 'archive', null],
+        ['b', 'acme.archive', 'archive', 'acme']
+      ]);
+      expect(letters[0]).toMatchObject({ attempts: 3, error: 'HTTP 500: Internal Server Error', payload: webhook('a').payload });
+
+      WebhookJournal.markResent(directory, 'acme.archive', 'b');
+      expect(WebhookJournal.readDeadLetters(directory).map(letter => letter.id)).toEqual(['a']);
+    });
+
+    test('should return nothing without a dead-letter directory', () => {
+      expect(WebhookJournal.readDeadLetters(directory)).toEqual([]);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const WebhookManager = require('../lib/webhook-manager');
+const WebhookEndpoint = require('../lib/webhook-endpoint');
 const axios = require('axios');
 
 jest.mock('axios', () => jest.fn());
@@ -76,6 +77,118 @@ describe('WebhookManager', () => {
     });
   });
 
+  describe('tenants', () => {
+    test('should name the tenant only when the connection has one', async () => {
+      webhookManager = new WebhookManager(config);
+      jest.spyOn(webhookManager, 'queueWebhook').mockImplementation(() => {});
+
+      await webhookManager.sendSessionStarted('session-1', { token: { meta: {} } });
+      await webhookManager.sendConnectionRejected('expired', { tenant: 'acme' });
+
+      expect(webhookManager.queueWebhook.mock.calls[0][0]).not.toHaveProperty('tenant');
+      expect(webhookManager.queueWebhook.mock.calls[1][0].tenant).toBe('acme');
+    });
+  });
+
+  describe('endpoints', () => {
+    beforeEach(() => {
+      config.webhook_timeout = 5000;
+      config.webhook_auth_type = 'bearer';
+      config.webhook_auth_token = 'default-token';
+      config.webhooks = {
+        archive: { url: 'https://archive.example.com', events: 'recording_saved' },
+        billing: { url: 'https://billing.example.com', events: ['session_started', 'session_ended'], timeout: 1000 },
+        paused: { url: 'https://paused.example.com', enable: false }
+      };
+    });
+
+    test('should combine webhook_url with named endpoints', () => {
+      const endpoints = WebhookManager.getEndpointSettings(config);
+
+      expect(Array.from(endpoints.keys())).toEqual(['default', 'archive', 'billing']);
+      expect(endpoints.get('default')).toEqual(expect.objectContaining({ url: 'https://example.com/webhook', auth_token: 'default-token' }));
+      expect(endpoints.get('archive')).toEqual({ timeout: 5000, url: 'https://archive.example.com', events: 'recording_saved' });
+      expect(endpoints.get('billing').timeout).toBe(1000);
+    });
+
+    test('should queue each event only for endpoints that accept it', async () => {
+      webhookManager = new WebhookManager(config);
+      const enqueued = {};
+      for (const endpoint of webhookManager.endpoints.values()) {
+        enqueued[endpoint.name] = [];
+        jest.spyOn(endpoint, 'enqueue').mockImplementation(payload => enqueued[endpoint.name].push(payload.event));
+      }
+
+      await webhookManager.sendSessionStarted('session-1', { token: { meta: {} } });
+      await webhookManager.sendRecordingSaved('session-1', { token: { meta: {} } }, 'bucket', 'key');
+
+      expect(enqueued).toEqual({
+        default: ['session_started', 'recording_saved'],
+        archive: ['recording_saved'],
+        billing: ['session_started']
+      });
+    });
+
+    test('should keep queues of endpoints that survive a reload', () => {
+      webhookManager = new WebhookManager(config);
+      const archive = webhookManager.endpoints.get('archive');
+
+      webhookManager.updateConfig({ ...config, webhooks: { archive: { url: 'https://archive-2.example.com' } } });
+
+      expect(webhookManager.endpoints.get('archive')).toBe(archive);
+      expect(archive.settings.url).toBe('https://archive-2.example.com');
+      expect(webhookManager.endpoints.has('billing')).toBe(false);
+    });
+
+    test('should notify a shared receiver of draining once', async () => {
+      const first = new WebhookManager(config);
+      const second = new WebhookManager({ ...config, webhooks: {} });
+      const sent = [];
+      for (const manager of [first, second]) {
+        for (const endpoint of manager.endpoints.values()) {
+          jest.spyOn(endpoint, 'enqueue').mockImplementation(() => sent.push(endpoint.settings.url));
+        }
+      }
+
+      const notifiedUrls = new Set();
+      await first.sendServerDraining(1, 30000, notifiedUrls);
+      await second.sendServerDraining(1, 30000, notifiedUrls);
+
+      expect(sent).toEqual(['https://example.com/webhook']);
+    });
+
+    test('should journal each endpoint under the tenant and replay it once started', () => {
+      const restore = jest.spyOn(WebhookEndpoint.prototype, 'restore').mockImplementation(() => {});
+      webhookManager = new WebhookManager({ ...config, webhook_journal_dir: '/data/webhooks' }, 'acme');
+
+      expect(Array.from(webhookManager.endpoints.values()).map(endpoint => endpoint.journal.name))
+        .toEqual(['acme.default', 'acme.archive', 'acme.billing']);
+      expect(restore).not.toHaveBeenCalled();
+
+      webhookManager.replayJournal();
+      expect(restore).toHaveBeenCalledTimes(3);
+
+      webhookManager.updateConfig({ ...config, webhook_journal_dir: '/data/webhooks', webhooks: { ...config.webhooks, audit: { url: 'https://audit.example.com' } } });
+      expect(restore).toHaveBeenCalledTimes(4);
+      restore.mockRestore();
+    });
+
+    test('should keep queues in memory without a journal directory', () => {
+      webhookManager = new WebhookManager(config);
+
+      expect(webhookManager.endpoints.get('archive').journal).toBeNull();
+    });
+
+    test('should reject invalid endpoint sections', () => {
+      expect(() => WebhookManager.validate({ webhooks: { archive: { url: 'not a url' } } }))
+        .toThrow("Webhook endpoint 'archive' has an invalid url: not a url");
+      expect(() => WebhookManager.validate({ webhooks: { default: { url: 'https://a.example.com' } } }))
+        .toThrow("Webhook endpoint name 'default' is reserved for webhook_url");
+      expect(() => WebhookManager.validate({ webhooks: { archive: { url: 'https://a.example.com', events: 'recording_saved, session_stared' } } }))
+        .toThrow("Webhook endpoint 'archive' filters unknown events: session_stared");
+    });
+  });
+
   describe('sendSessionEnded()', () => {
     beforeEach(() => {
       webhookManager = new WebhookManager(config);
@@ -126,6 +239,86 @@ describe('WebhookManager', () => {
     });
   });
 
+  describe('sendServerDraining()', () => {
+    test('should queue server draining webhook', async () => {
+      webhookManager = new WebhookManager(config);
+      jest.spyOn(webhookManager, 'queueWebhook').mockImplementation(() => {});
+
+      await webhookManager.sendServerDraining(4, 30000);
+
+      expect(webhookManager.queueWebhook).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'server_draining',
+        active_sessions: 4,
+        grace_period_ms: 30000
+      }));
+    });
+
+    test('should not queue when disabled', async () => {
+      config.webhook_enable = false;
+      webhookManager = new WebhookManager(config);
+      jest.spyOn(webhookManager, 'queueWebhook');
+
+      await webhookManager.sendServerDraining(0, 30000);
+
+      expect(webhookManager.queueWebhook).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendConnectionRejected()', () => {
+    test('should queue connection rejected webhook without secrets', async () => {
+      webhookManager = new WebhookManager(config);
+      jest.spyOn(webhookManager, 'queueWebhook').mockImplementation(() => {});
+
+      await webhookManager.sendConnectionRejected('ip_not_allowed', {
+        clientIp: '203.0.113.5',
+        protocol: 'rdp',
+        hostname: '10.0.0.5',
+        meta: { userId: 'user123', password: 'secret' }
+      });
+
+      expect(webhookManager.queueWebhook).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'connection_rejected',
+        reason: 'ip_not_allowed',
+        client_ip: '203.0.113.5',
+        token_meta: { userId: 'user123', password: '[REDACTED]' }
+      }));
+    });
+  });
+
+  describe('sendSessionExpiring()', () => {
+    test('should queue session expiring webhook', async () => {
+      webhookManager = new WebhookManager(config);
+      jest.spyOn(webhookManager, 'queueWebhook').mockImplementation(() => {});
+      const expiresAt = Date.now() + 300000;
+
+      await webhookManager.sendSessionExpiring('session-123', { token: { meta: { userId: 'user123' } } }, expiresAt);
+
+      expect(webhookManager.queueWebhook).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'session_expiring',
+        session_id: 'session-123',
+        token_meta: { userId: 'user123' },
+        expires_at: new Date(expiresAt).toISOString(),
+        seconds_remaining: 300
+      }));
+    });
+  });
+
+  describe('sendClientLockedOut()', () => {
+    test('should queue client locked out webhook', async () => {
+      webhookManager = new WebhookManager(config);
+      jest.spyOn(webhookManager, 'queueWebhook').mockImplementation(() => {});
+
+      await webhookManager.sendClientLockedOut('203.0.113.5', 5, Date.parse('2025-01-01T00:05:00Z'));
+
+      expect(webhookManager.queueWebhook).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'client_locked_out',
+        client_ip: '203.0.113.5',
+        failures: 5,
+        locked_until: '2025-01-01T00:05:00.000Z'
+      }));
+    });
+  });
+
   describe('webhook retry logic', () => {
     beforeEach(() => {
       webhookManager = new WebhookManager(config);
@@ -168,7 +361,7 @@ describe('WebhookManager', () => {
       jest.runOnlyPendingTimers();
       
       // Should retry on HTTP errors
-      expect(webhookManager.queue.length).toBeGreaterThan(0);
+      expect(webhookManager.getQueueStatus().pending).toBeGreaterThan(0);
     });
   });
 
@@ -257,7 +450,7 @@ describe('WebhookManager', () => {
       
       await cleanupPromise;
       
-      expect(webhookManager.queue.length).toBe(0);
+      expect(webhookManager.getQueueStatus().pending).toBe(0);
     });
   });
 
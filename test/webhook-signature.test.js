@@ -0,0 +1,87 @@
+const http = require('http');
+const WebhookSignature = require('../lib/webhook-signature');
+const WebhookEndpoint = require('../lib/webhook-endpoint');
+
+describe('WebhookSignature', () => {
+  const body = JSON.stringify({ event: 'session_started', session_id: 'abc' });
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  const timestamp = now / 1000;
+
+  describe('createHeaders()', () => {
+    test('should sign the timestamp and body with every secret', () => {
+      const headers = WebhookSignature.createHeaders(['new-secret', 'old-secret'], body, timestamp);
+
+      expect(headers['X-Timestamp']).toBe(String(timestamp));
+      expect(headers['X-Signature']).toBe([
+        `sha256=${WebhookSignature.sign('new-secret', timestamp, body)}`,
+        `sha256=${WebhookSignature.sign('old-secret', timestamp, body)}`
+      ].join(','));
+    });
+  });
+
+  describe('verify()', () => {
+    const headers = {
+      'x-timestamp': String(timestamp),
+      'x-signature': WebhookSignature.createHeaders('old-secret, new-secret', body, timestamp)['X-Signature']
+    };
+
+    test('should accept any active secret', () => {
+      expect(WebhookSignature.verify(body, headers, 'new-secret', { now })).toBe(true);
+      expect(WebhookSignature.verify(Buffer.from(body), headers, ['retired', 'old-secret'], { now })).toBe(true);
+    });
+
+    test('should reject wrong secrets and modified bodies', () => {
+      expect(WebhookSignature.verify(body, headers, 'other-secret', { now })).toBe(false);
+      expect(WebhookSignature.verify(body.replace('abc', 'xyz'), headers, 'new-secret', { now })).toBe(false);
+      expect(WebhookSignature.verify(body, { ...headers, 'x-signature': 'sha256=nothex' }, 'new-secret', { now })).toBe(false);
+    });
+
+    test('should reject timestamps outside the tolerance', () => {
+      expect(WebhookSignature.verify(body, headers, 'new-secret', { now: now + 301000 })).toBe(false);
+      expect(WebhookSignature.verify(body, headers, 'new-secret', { now: now + 301000, tolerance: 600 })).toBe(true);
+      expect(WebhookSignature.verify(body, { ...headers, 'x-timestamp': String(timestamp + 1) }, 'new-secret', { now })).toBe(false);
+    });
+  });
+
+  describe('WebhookEndpoint deliveries', () => {
+    let server;
+    let received;
+
+    beforeEach(() => new Promise(resolve => {
+      received = [];
+      server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, raw });
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', resolve);
+    }));
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    test('should be verifiable by receivers', async () => {
+      const endpoint = new WebhookEndpoint('archive', {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        signing_secrets: ['current', 'previous']
+      });
+
+      await endpoint.send({ event: 'test' }, 'delivery-1');
+
+      expect(received[0].headers['x-delivery-id']).toBe('delivery-1');
+      expect(WebhookSignature.verify(received[0].raw, received[0].headers, 'previous')).toBe(true);
+      expect(JSON.parse(received[0].raw)).toEqual({ event: 'test' });
+    });
+
+    test('should send a delivery id without signing when no secret is set', async () => {
+      const endpoint = new WebhookEndpoint('archive', { url: `http://127.0.0.1:${server.address().port}/hook` });
+
+      await endpoint.send({ event: 'test' });
+
+      expect(received[0].headers['x-delivery-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(received[0].headers).not.toHaveProperty('x-signature');
+    });
+  });
+});